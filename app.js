@@ -11,6 +11,14 @@ const authenticateRequest = require('./middleware/auth');
 const apiLimiter = require('./middleware/rateLimit');
 const authRoutes = require('./routes/authRoutes');
 const apiRoutes = require('./routes/apiRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const {
+    startJobRunner,
+    startWriteBackConsumer,
+    startStaleConnectionMonitor,
+    startPollingSync,
+    startDriveWatchRenewal
+} = require('./jobs');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -36,6 +44,8 @@ app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
 
 // --- Route Definitions ---
 app.use('/auth', authRoutes);
+// Called by Google, authenticated by per-channel tokens
+app.use('/webhooks', webhookRoutes);
 // Apply rate limiting and authentication middleware only to the /api routes
 app.use('/api', apiLimiter, authenticateRequest, apiRoutes);
 
@@ -49,6 +59,21 @@ const startServer = async () => {
         await connectDB();
         console.log("Successfully connected to the database.");
 
+        // Pick up queued jobs, including any left unfinished by a previous run.
+        startJobRunner();
+
+        // Write platform-computed values back into connected sheets.
+        startWriteBackConsumer();
+
+        // Flag connections whose Apps Script stopped sending heartbeats.
+        startStaleConnectionMonitor();
+
+        // Sync sheets whose Apps Script trigger is not pushing edits.
+        startPollingSync();
+
+        // Keep Drive push channels of drive_watch connections open.
+        startDriveWatchRenewal();
+
         // If the connection is successful, start the Express server.
         app.listen(port, () => {
             console.log(`API Server running on port ${port}`);
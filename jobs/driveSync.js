@@ -0,0 +1,24 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { NonRetryableJobError } = require('../utils/jobRunner');
+const { getConnectionClient } = require('../utils/googleAuth');
+const { syncChangedRows } = require('../utils/sheetDiffSync');
+
+// Diff sync scheduled by a Drive push notification, see utils/driveWatch.js
+module.exports = async function driveSync({ job }) {
+  const connection = await GoogleCredential.findById(job.connectionId);
+  if (!connection) {
+    throw new NonRetryableJobError(`Connection ${job.connectionId} no longer exists`);
+  }
+  if (connection.changeSource !== 'drive_watch') {
+    return { skipped: 'Connection no longer uses Drive notifications' };
+  }
+
+  const oauth2Client = await getConnectionClient(connection);
+  const result = await syncChangedRows(oauth2Client, connection);
+  if (result.rowsQueued) {
+    await GoogleCredential.updateOne({ _id: connection._id }, { $set: { lastSyncAt: new Date() } });
+  }
+
+  console.log(`[DRIVE_SYNC] Job ${job._id}: ${result.rowsChanged}/${result.rowsRead} rows changed, ${result.rowsQueued} queued`);
+  return result;
+};
@@ -0,0 +1,56 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { getConnectionClient } = require('../utils/googleAuth');
+const { getWebhookUrl, startDriveWatch, scheduleDriveSync } = require('../utils/driveWatch');
+
+// Replaces Drive channels of active drive_watch connections before they
+// expire, and opens one for connections that lost theirs. Changes made
+// while a channel was down are picked up by a sync right after renewal.
+
+const RENEW_BEFORE_MS = 2 * 60 * 60 * 1000;
+const RENEWAL_INTERVAL_MS = Number(process.env.DRIVE_WATCH_RENEWAL_INTERVAL_MS) || 15 * 60 * 1000;
+
+let renewalTimer = null;
+
+const renewDueChannels = async () => {
+  const now = new Date();
+  const connections = await GoogleCredential.find({
+    changeSource: 'drive_watch',
+    status: 'active',
+    $or: [
+      { 'driveWatch.channelId': null },
+      { 'driveWatch.expiration': { $lt: new Date(now.getTime() + RENEW_BEFORE_MS) } }
+    ]
+  });
+
+  for (const connection of connections) {
+    const lapsed = !connection.driveWatch?.expiration || connection.driveWatch.expiration < now;
+    try {
+      const oauth2Client = await getConnectionClient(connection);
+      await startDriveWatch(oauth2Client, connection);
+      if (lapsed) await scheduleDriveSync(connection._id);
+    } catch (error) {
+      console.error(`[DRIVE_WATCH] Could not renew channel for connection ${connection._id}:`, error.message);
+      await GoogleCredential.updateOne({ _id: connection._id }, { $set: { 'driveWatch.lastError': error.message } });
+    }
+  }
+};
+
+const check = async () => {
+  try {
+    await renewDueChannels();
+  } catch (error) {
+    console.error('[DRIVE_WATCH] Channel renewal failed:', error.message);
+  }
+};
+
+function startDriveWatchRenewal() {
+  if (renewalTimer) return;
+  if (!getWebhookUrl()) {
+    console.warn('[DRIVE_WATCH] DRIVE_WEBHOOK_URL not configured; channel renewal not started');
+    return;
+  }
+  renewalTimer = setInterval(check, RENEWAL_INTERVAL_MS);
+  setImmediate(check);
+}
+
+module.exports = { startDriveWatchRenewal };
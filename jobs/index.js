@@ -0,0 +1,20 @@
+const { registerJobHandler, startJobRunner } = require('../utils/jobRunner');
+
+const provisionConnection = require('./provisionConnection');
+const { startWriteBackConsumer } = require('./writeBack');
+const { startStaleConnectionMonitor } = require('./staleConnections');
+const { startPollingSync } = require('./pollingSync');
+const { startDriveWatchRenewal } = require('./driveWatchRenewal');
+
+registerJobHandler('provision', provisionConnection, { onFailure: provisionConnection.onFailure });
+registerJobHandler('resync', require('./resyncConnection'));
+registerJobHandler('upgrade_script', require('./upgradeScript'));
+registerJobHandler('drive_sync', require('./driveSync'));
+
+module.exports = {
+  startJobRunner,
+  startWriteBackConsumer,
+  startStaleConnectionMonitor,
+  startPollingSync,
+  startDriveWatchRenewal
+};
@@ -0,0 +1,107 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { getConnectionClient } = require('../utils/googleAuth');
+const { getModifiedTime } = require('../utils/drive');
+const { syncChangedRows } = require('../utils/sheetDiffSync');
+
+// Fallback sync for connections whose Apps Script is known not to push
+// edits: it reported its trigger as pending or removed, or it reported once
+// and then went stale (see utils/connectionHealth.js). Scripts that never
+// reported, such as those deployed before heartbeats existed, may still
+// have a working trigger and are left alone, or every edit would be sent
+// twice. Each one is checked once per POLL_SYNC_INTERVAL_MS; the sheet is
+// only re-read when its Drive modifiedTime moved past the last synced one.
+// Drive-watched connections are only polled while they have no live
+// channel.
+
+const POLL_SYNC_INTERVAL_MS = (Number(process.env.POLL_SYNC_INTERVAL_MINUTES) || 15) * 60 * 1000;
+const POLL_TICK_MS = Number(process.env.POLL_SYNC_TICK_MS) || 60 * 1000;
+const POLL_BATCH_SIZE = Number(process.env.POLL_SYNC_BATCH_SIZE) || 10;
+
+let tickTimer = null;
+let ticking = false;
+
+// Deployed connections known to lack a live trigger that are due for a check
+const findDueConnections = () =>
+  GoogleCredential.find({
+    status: { $in: ['awaiting_activation', 'active'] },
+    $and: [
+      {
+        $or: [
+          { changeSource: 'drive_watch' },
+          { triggerState: { $in: ['pending', 'inactive'] } },
+          { stale: true, lastSeenAt: { $ne: null } }
+        ]
+      },
+      { $or: [{ changeSource: { $ne: 'drive_watch' } }, { 'driveWatch.expiration': null }, { 'driveWatch.expiration': { $lt: new Date() } }] },
+      { $or: [{ pollCheckedAt: null }, { pollCheckedAt: { $lt: new Date(Date.now() - POLL_SYNC_INTERVAL_MS) } }] }
+    ]
+  })
+    .sort({ pollCheckedAt: 1 })
+    .limit(POLL_BATCH_SIZE);
+
+/**
+ * Checks one connection and syncs its changed rows. Errors are stored on
+ * the connection and the check is tried again after the next interval.
+ */
+async function pollConnection(connection) {
+  const checkedAt = new Date();
+  const connectionId = connection._id.toString();
+
+  try {
+    const oauth2Client = await getConnectionClient(connection);
+    const modifiedTime = await getModifiedTime(oauth2Client, connection.spreadsheetId);
+
+    if (modifiedTime && connection.sheetModifiedAt && modifiedTime <= connection.sheetModifiedAt) {
+      await GoogleCredential.updateOne({ _id: connection._id }, { $set: { pollCheckedAt: checkedAt } });
+      return { changed: false };
+    }
+
+    const result = await syncChangedRows(oauth2Client, connection);
+    await GoogleCredential.updateOne(
+      { _id: connection._id },
+      {
+        $set: {
+          pollCheckedAt: checkedAt,
+          sheetModifiedAt: modifiedTime,
+          lastPollError: null,
+          ...(result.rowsQueued && { lastSyncAt: new Date() })
+        }
+      }
+    );
+
+    console.log(`[POLL_SYNC] Connection ${connectionId}: ${result.rowsChanged}/${result.rowsRead} rows changed, ${result.rowsQueued} queued${result.baseline ? ' (first snapshot)' : ''}`);
+    return { changed: true, ...result };
+  } catch (error) {
+    console.error(`[POLL_SYNC] Connection ${connectionId} failed:`, error.message);
+    await GoogleCredential.updateOne(
+      { _id: connection._id },
+      { $set: { pollCheckedAt: checkedAt, lastPollError: { message: error.message, at: checkedAt } } }
+    );
+    return { changed: false, error: error.message };
+  }
+}
+
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const connections = await findDueConnections();
+    for (const connection of connections) {
+      await pollConnection(connection);
+    }
+  } catch (error) {
+    console.error('[POLL_SYNC] Failed to poll connections:', error.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+function startPollingSync() {
+  if (tickTimer) return;
+  console.log(`[POLL_SYNC] Checking untriggered connections every ${POLL_SYNC_INTERVAL_MS / 60000} minutes`);
+  tickTimer = setInterval(tick, POLL_TICK_MS);
+  setImmediate(tick);
+}
+
+module.exports = { pollConnection, startPollingSync };
@@ -0,0 +1,143 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { NonRetryableJobError } = require('../utils/jobRunner');
+const { getConnectionClient } = require('../utils/googleAuth');
+const { importSheet } = require('../utils/sheetImporter');
+const { syncChangedRows } = require('../utils/sheetDiffSync');
+const { getWebhookUrl, startDriveWatch } = require('../utils/driveWatch');
+const { setConnectionStatus, recordConnectionError } = require('../utils/connectionStatus');
+const { publishProvisioningEvent } = require('../utils/provisioningEvents');
+const { generateConnectionSecret, formatConnectionKey } = require('../utils/connectionKeys');
+const {
+  createScriptProject,
+  uploadScriptContent,
+  createScriptVersion,
+  deployScript,
+  updateDeployment,
+  initializeScript
+} = require('../utils/appsScript');
+
+// Everything that follows a successful OAuth callback: the initial import,
+// then the Apps Script create -> upload -> version -> deploy -> init flow.
+// Each step is checkpointed, so a restart resumes where the last attempt
+// stopped instead of creating a second script project. A connection that
+// already has a script (a reconnect of the same spreadsheet) keeps it: the
+// new code is uploaded and its existing deployment is moved to the new
+// version. drive_watch connections get no script, only a Drive channel.
+async function provisionConnection({ job, step }) {
+  const connection = await GoogleCredential.findById(job.connectionId);
+  if (!connection) {
+    throw new NonRetryableJobError(`Connection ${job.connectionId} no longer exists`);
+  }
+
+  const connectionId = connection._id.toString();
+  const userId = connection.userId.toString();
+  const oauth2Client = await getConnectionClient(connection);
+  const progress = (event) => publishProvisioningEvent(connectionId, 'step', event);
+
+  const importResult = await step('import', async () => {
+    await setConnectionStatus(connection._id, 'importing');
+    return importSheet(oauth2Client, connection, undefined, (counts) =>
+      publishProvisioningEvent(connectionId, 'import', counts)
+    );
+  });
+  console.log(`[PROVISION] Imported ${importResult.rowsQueued}/${importResult.rowsRead} rows for connection ${connectionId}`);
+
+  // The imported rows are the baseline the polling fallback and Drive
+  // notifications are diffed against
+  await step('snapshot', () => syncChangedRows(oauth2Client, connection, { enqueue: false }));
+
+  if (connection.changeSource === 'drive_watch') {
+    if (!getWebhookUrl()) {
+      throw new NonRetryableJobError('DRIVE_WEBHOOK_URL is not configured; cannot watch the spreadsheet');
+    }
+    const { channelId } = await step('watch', async () => {
+      const driveWatch = await startDriveWatch(oauth2Client, connection);
+      return { channelId: driveWatch.channelId };
+    });
+
+    await setConnectionStatus(connection._id, 'active');
+    console.log(`[PROVISION] Drive channel ${channelId} watching connection ${connectionId}`);
+    return {
+      rowsRead: importResult.rowsRead,
+      rowsQueued: importResult.rowsQueued,
+      rowsRejected: importResult.rowsRejected,
+      channelId
+    };
+  }
+
+  const { scriptId } = await step('create_script', async () => {
+    await setConnectionStatus(connection._id, 'creating_script');
+    if (connection.appsScriptId) {
+      progress({ step: 'create_script', message: 'Reusing existing script project', scriptId: connection.appsScriptId });
+      return { scriptId: connection.appsScriptId };
+    }
+    const output = await createScriptProject(oauth2Client, connection.spreadsheetId, progress);
+    await GoogleCredential.updateOne({ _id: connection._id }, { $set: { appsScriptId: output.scriptId } });
+    return output;
+  });
+
+  const uploaded = await step('upload_content', () => uploadScriptContent(oauth2Client, scriptId, progress));
+
+  const { versionNumber } = await step('create_version', async () => {
+    await setConnectionStatus(connection._id, 'deploying');
+    return createScriptVersion(oauth2Client, scriptId, progress);
+  });
+
+  const { webAppUrl } = await step('deploy', async () => {
+    const output = connection.deploymentId
+      ? await updateDeployment(oauth2Client, scriptId, connection.deploymentId, versionNumber, progress)
+      : await deployScript(oauth2Client, scriptId, versionNumber, progress);
+    await GoogleCredential.updateOne(
+      { _id: connection._id },
+      {
+        $set: {
+          deploymentId: output.deploymentId,
+          webAppUrl: output.webAppUrl,
+          // Checkpoints written before versions were tracked leave it unknown
+          scriptTemplateVersion: uploaded.templateVersion || null,
+          scriptVersionNumber: versionNumber,
+          scriptUpdatedAt: new Date()
+        }
+      }
+    );
+    return output;
+  });
+
+  // The plaintext key only ever exists in memory, so it is minted in the
+  // same step that delivers it. A retried init simply issues a fresh key.
+  const activation = await step('initialize', async () => {
+    await setConnectionStatus(connection._id, 'initializing');
+    const { secret, hash } = generateConnectionSecret();
+    await GoogleCredential.updateOne(
+      { _id: connection._id },
+      { $set: { apiKeyHash: hash, apiKeyIssuedAt: new Date() } }
+    );
+
+    return initializeScript({
+      webAppUrl,
+      userId,
+      connectionId,
+      connectionKey: formatConnectionKey(connectionId, secret)
+    }, progress);
+  });
+
+  // The trigger is only live once the script reports immediate activation;
+  // delayed or manual activation still needs the user's sheet to act.
+  await setConnectionStatus(connection._id, activation.autoActivated ? 'active' : 'awaiting_activation');
+
+  console.log(`[PROVISION] Apps Script ${scriptId} ready for connection ${connectionId}`);
+  return {
+    rowsRead: importResult.rowsRead,
+    rowsQueued: importResult.rowsQueued,
+    rowsRejected: importResult.rowsRejected,
+    scriptId,
+    webAppUrl,
+    ...activation
+  };
+}
+
+const onFailure = (job, error, { willRetry }) =>
+  recordConnectionError(job.connectionId, error, { step: error.jobStep, failed: !willRetry });
+
+module.exports = provisionConnection;
+module.exports.onFailure = onFailure;
@@ -0,0 +1,33 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { NonRetryableJobError } = require('../utils/jobRunner');
+const { getConnectionClient } = require('../utils/googleAuth');
+const { importSheet } = require('../utils/sheetImporter');
+const { selectTabs } = require('../utils/connectionTabs');
+const { syncChangedRows } = require('../utils/sheetDiffSync');
+
+// Re-reads the sheet with the stored tokens and enqueues the rows again.
+// params: { mode: 'full' } or { mode: 'range', startRow, endRow }, either
+// with an optional tab to resync only that tab. A full resync also resets
+// the diff snapshot to the rows it sent; a range resync leaves it alone.
+module.exports = async function resyncConnection({ job }) {
+  const connection = await GoogleCredential.findById(job.connectionId);
+  if (!connection) {
+    throw new NonRetryableJobError(`Connection ${job.connectionId} no longer exists`);
+  }
+
+  if (job.params.tab && !selectTabs(connection, job.params.tab).length) {
+    throw new NonRetryableJobError(`Tab "${job.params.tab}" is no longer registered on connection ${connection._id}`);
+  }
+
+  const oauth2Client = await getConnectionClient(connection);
+  const rowWindow = job.params.mode === 'range'
+    ? { tab: job.params.tab, startRow: job.params.startRow, endRow: job.params.endRow }
+    : { tab: job.params.tab };
+
+  const result = await importSheet(oauth2Client, connection, rowWindow);
+  if (job.params.mode !== 'range') {
+    await syncChangedRows(oauth2Client, connection, { enqueue: false, tab: job.params.tab });
+  }
+  console.log(`[RESYNC] Job ${job._id} queued ${result.rowsQueued}/${result.rowsRead} rows (${result.rowsRejected} rejected)`);
+  return result;
+};
@@ -0,0 +1,22 @@
+const { markStaleConnections } = require('../utils/connectionHealth');
+
+// Periodically flags connections whose Apps Script stopped reporting
+const STALE_CHECK_INTERVAL_MS = Number(process.env.STALE_CHECK_INTERVAL_MS) || 10 * 60 * 1000;
+
+let checkTimer = null;
+
+const check = async () => {
+  try {
+    await markStaleConnections();
+  } catch (error) {
+    console.error('[HEARTBEAT] Stale connection check failed:', error.message);
+  }
+};
+
+function startStaleConnectionMonitor() {
+  if (checkTimer) return;
+  checkTimer = setInterval(check, STALE_CHECK_INTERVAL_MS);
+  setImmediate(check);
+}
+
+module.exports = { startStaleConnectionMonitor };
@@ -0,0 +1,52 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { NonRetryableJobError } = require('../utils/jobRunner');
+const { getConnectionClient } = require('../utils/googleAuth');
+const {
+  uploadScriptContent,
+  createScriptVersion,
+  updateDeployment
+} = require('../utils/appsScript');
+
+// Moves a deployed connection to the current script template: upload the
+// code, snapshot it as a version and point the existing deployment at it.
+// The web app URL, script properties and installed triggers are kept, so
+// the script needs no re-initialization.
+// params: { batchId, fromTemplateVersion }
+module.exports = async function upgradeScript({ job, step }) {
+  const connection = await GoogleCredential.findById(job.connectionId);
+  if (!connection) {
+    throw new NonRetryableJobError(`Connection ${job.connectionId} no longer exists`);
+  }
+  if (!connection.appsScriptId || !connection.deploymentId) {
+    throw new NonRetryableJobError(`Connection ${connection._id} has no deployed script`);
+  }
+
+  const scriptId = connection.appsScriptId;
+  const oauth2Client = await getConnectionClient(connection);
+
+  const { templateVersion } = await step('upload_content', () => uploadScriptContent(oauth2Client, scriptId));
+  const { versionNumber } = await step('create_version', () => createScriptVersion(oauth2Client, scriptId));
+
+  await step('deploy', async () => {
+    const output = await updateDeployment(oauth2Client, scriptId, connection.deploymentId, versionNumber);
+    await GoogleCredential.updateOne(
+      { _id: connection._id },
+      {
+        $set: {
+          webAppUrl: output.webAppUrl,
+          scriptTemplateVersion: templateVersion,
+          scriptVersionNumber: versionNumber,
+          scriptUpdatedAt: new Date()
+        }
+      }
+    );
+    return output;
+  });
+
+  console.log(`[UPGRADE] Script ${scriptId} of connection ${connection._id} now serves template ${templateVersion} (version ${versionNumber})`);
+  return {
+    fromTemplateVersion: job.params.fromTemplateVersion || null,
+    templateVersion,
+    versionNumber
+  };
+};
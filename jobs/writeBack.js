@@ -0,0 +1,61 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { consumeQueue } = require('../transports');
+const { WRITE_BACK_QUEUE, recordFailedMessages } = require('../sqs-service');
+const { writeBackMessageSchema } = require('../utils/validator');
+const { getConnectionClient } = require('../utils/googleAuth');
+const { applyWriteBack } = require('../utils/sheetWriteBack');
+
+// Consumer of the write_back queue, fed by POST /api/connections/:id/write-back
+// or directly by the platform. A failing message is retried by the queue
+// until MAX_WRITE_BACK_RECEIVES, then stored as a failed write_back message.
+
+const MAX_WRITE_BACK_RECEIVES = Number(process.env.WRITE_BACK_MAX_RECEIVES) || 5;
+const WRITE_BACK_POLL_INTERVAL_MS = Number(process.env.WRITE_BACK_POLL_INTERVAL_MS) || 5000;
+
+const giveUp = (payload, type, reason, message, issues) =>
+  recordFailedMessages('write_back', [{ payload, type, reason, message, issues }]);
+
+async function handleWriteBack(body, { receiveCount }) {
+  const parsed = writeBackMessageSchema.safeParse(body);
+  if (!parsed.success) {
+    console.error('[WRITE_BACK] Dropping invalid message:', parsed.error.issues[0]?.message);
+    return giveUp(body, 'validation', 'ZodError', null, parsed.error.issues);
+  }
+
+  const { connectionId, updates } = parsed.data;
+  const connection = await GoogleCredential.findById(connectionId);
+  if (!connection) {
+    console.error(`[WRITE_BACK] Connection ${connectionId} no longer exists; dropping message`);
+    return giveUp(parsed.data, 'validation', 'ConnectionNotFound', `Connection ${connectionId} no longer exists`);
+  }
+
+  try {
+    const oauth2Client = await getConnectionClient(connection);
+    const { written, skipped } = await applyWriteBack(oauth2Client, connection, updates);
+    console.log(`[WRITE_BACK] Wrote ${written}/${updates.length} rows for connection ${connectionId}`);
+    if (skipped.length) {
+      console.warn(`[WRITE_BACK] Skipped ${skipped.length} updates for connection ${connectionId}:`, JSON.stringify(skipped.slice(0, 20)));
+    }
+  } catch (error) {
+    if (receiveCount < MAX_WRITE_BACK_RECEIVES) throw error;
+
+    console.error(`[WRITE_BACK] Giving up on connection ${connectionId} after ${receiveCount} attempts:`, error.message);
+    await giveUp(parsed.data, 'google', error.name, error.message);
+  }
+}
+
+// Starts polling unless the SQS transport has no write_back queue configured
+function startWriteBackConsumer() {
+  if ((process.env.QUEUE_TRANSPORT || 'sqs') === 'sqs' && !process.env.WRITE_BACK_QUEUE_URL) {
+    console.warn('[WRITE_BACK] WRITE_BACK_QUEUE_URL not configured; write-back consumer not started');
+    return () => {};
+  }
+
+  console.log('[WRITE_BACK] Consuming the write_back queue');
+  return consumeQueue(WRITE_BACK_QUEUE, handleWriteBack, {
+    pollIntervalMs: WRITE_BACK_POLL_INTERVAL_MS,
+    visibilityTimeoutMs: 120000
+  });
+}
+
+module.exports = { handleWriteBack, startWriteBackConsumer };
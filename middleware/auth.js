@@ -1,10 +1,80 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { parseConnectionKey, verifyConnectionSecret } = require('../utils/connectionKeys');
+const { verifyEventsToken } = require('../utils/eventsToken');
+
 const API_SECRET_TOKEN = process.env.API_SECRET_TOKEN;
-module.exports = function authenticateRequest(req, res, next) {
+
+// Accepts either the platform token (API_SECRET_TOKEN) or a per-connection key
+// minted for an Apps Script. Without an Authorization header a GET may carry
+// an events token in ?token= instead (see utils/eventsToken.js). The
+// outcome is recorded on req.auth.
+async function authenticateRequest(req, res, next) {
 const authHeader = req.headers['authorization'];
 const token = authHeader && authHeader.split(' ')[1];
 
+if (!token && req.method === 'GET' && req.query.token) {
+const verified = verifyEventsToken(req.query.token);
+if (!verified) return res.status(403).json({ message: 'Invalid or expired token' });
+
+req.auth = { type: 'events', connectionId: verified.connectionId };
+return next();
+}
+
 if (!token) return res.status(401).json({ message: 'Missing token' });
-if (token !== API_SECRET_TOKEN) return res.status(403).json({ message: 'Invalid token' });
 
+if (API_SECRET_TOKEN && token === API_SECRET_TOKEN) {
+req.auth = { type: 'platform' };
+return next();
+}
+
+const parsed = parseConnectionKey(token);
+if (!parsed) return res.status(403).json({ message: 'Invalid token' });
+
+const connection = await GoogleCredential.findById(parsed.connectionId).select('+apiKeyHash');
+if (!connection || !verifyConnectionSecret(parsed.secret, connection.apiKeyHash)) {
+return res.status(403).json({ message: 'Invalid token' });
+}
+
+req.auth = { type: 'connection', connection };
 next();
-};
\ No newline at end of file
+}
+
+// Restricts a route to connection keys and makes sure the payload (the
+// query string for GET requests) belongs to the connection the key was
+// issued for.
+function requireConnectionKey(req, res, next) {
+if (req.auth?.type !== 'connection') {
+return res.status(403).json({ message: 'Connection key required' });
+}
+
+const { connection } = req.auth;
+const { connectionId, userId } = (req.method === 'GET' ? req.query : req.body) || {};
+if (connectionId !== connection._id.toString() || userId !== connection.userId.toString()) {
+return res.status(403).json({ message: 'Payload does not match connection key' });
+}
+
+next();
+}
+
+// Restricts a route to the platform token.
+function requirePlatformToken(req, res, next) {
+if (req.auth?.type !== 'platform') {
+return res.status(403).json({ message: 'Platform token required' });
+}
+
+next();
+}
+
+// Restricts a route to the platform token or an events token issued for the
+// connection in the path.
+function requireEventsAccess(req, res, next) {
+if (req.auth?.type === 'platform') return next();
+if (req.auth?.type === 'events' && req.auth.connectionId === req.params.id) return next();
+
+return res.status(403).json({ message: 'Platform token or events token for this connection required' });
+}
+
+module.exports = authenticateRequest;
+module.exports.requireConnectionKey = requireConnectionKey;
+module.exports.requirePlatformToken = requirePlatformToken;
+module.exports.requireEventsAccess = requireEventsAccess;
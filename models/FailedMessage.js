@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Bulk-import rows and updates that failed validation or SQS delivery, and
+// write-back requests the consumer gave up on. Written by sqs-service.js,
+// inspected and replayed via /api/failed-messages.
+const failedMessageSchema = new mongoose.Schema(
+    {
+        kind: {
+            type: String,
+            enum: ["bulk_import", "update", "write_back"],
+            required: true,
+        },
+        // Kept as a string: a payload that failed validation may not carry
+        // a well-formed id
+        connectionId: {
+            type: String,
+            default: null,
+        },
+        payload: {
+            type: Object,
+            required: true,
+        },
+        errorType: {
+            type: String,
+            enum: ["validation", "aws", "transport", "size", "google"],
+            required: true,
+        },
+        // "ZodError", the AWS / transport error name or batch failure code,
+        // or the Google API error name
+        errorName: {
+            type: String,
+        },
+        errorMessage: {
+            type: String,
+            default: null,
+        },
+        issues: {
+            type: Array,
+            default: [],
+        },
+        attempts: {
+            type: Number,
+            default: 1,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "replayed"],
+            default: "pending",
+        },
+        lastAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        replayedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+failedMessageSchema.index({ connectionId: 1, status: 1, createdAt: -1 });
+module.exports = mongoose.model("FailedMessage", failedMessageSchema);
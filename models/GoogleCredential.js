@@ -15,10 +15,214 @@ const googleCredentialSchema = new mongoose.Schema(
             type: String,
             required: true,
         },
+        userEmail: {
+            type: String,
+        },
+        // Envelope-encrypted, see utils/tokenCrypto.js
         googleTokens: {
             type: Object,
             required: true,
         },
+        tokensRefreshedAt: {
+            type: Date,
+        },
+        // SHA-256 of the per-connection key handed to the Apps Script.
+        // Cleared to revoke the key.
+        apiKeyHash: {
+            type: String,
+            select: false,
+        },
+        apiKeyIssuedAt: {
+            type: Date,
+        },
+        // Sheet header -> canonical inputDataSchema field, see utils/columnMapping.js
+        columnMappings: [
+            {
+                _id: false,
+                header: { type: String, required: true },
+                field: { type: String, required: true },
+            },
+        ],
+        // Tabs or ranges synced by this connection, each with its own record
+        // type and mapping. Empty means the single sheetRange tab with the
+        // columnMappings above, see utils/connectionTabs.js
+        tabs: [
+            {
+                _id: false,
+                sheetName: { type: String, required: true },
+                range: { type: String, default: null },
+                recordType: {
+                    type: String,
+                    enum: ["project", "contract", "resource", "risk"],
+                    default: "project",
+                },
+                columnMappings: [
+                    {
+                        _id: false,
+                        header: { type: String, required: true },
+                        field: { type: String, required: true },
+                    },
+                ],
+            },
+        ],
+        // Reserved columns the platform writes computed values into, by
+        // platform field key. Never read as input, see utils/writeBackColumns.js
+        writeBackColumns: [
+            {
+                _id: false,
+                key: { type: String, required: true },
+                header: { type: String, required: true },
+            },
+        ],
+        // Spreadsheet locale ("en_GB") and time zone, used to read its
+        // dates. Refreshed on every import, see utils/sheetLocale.js
+        sheetLocale: {
+            type: String,
+            default: null,
+        },
+        sheetTimeZone: {
+            type: String,
+            default: null,
+        },
+        // How rows are keyed downstream, see utils/rowIdentity.js
+        rowIdentity: {
+            mode: {
+                type: String,
+                enum: ["project", "columns", "row_id"],
+                default: "project",
+            },
+            keyColumns: {
+                type: [String],
+                default: undefined,
+            },
+        },
+        appsScriptId: {
+            type: String,
+            default: null,
+        },
+        deploymentId: {
+            type: String,
+            default: null,
+        },
+        webAppUrl: {
+            type: String,
+            default: null,
+        },
+        // Template and Apps Script version the deployment serves, see
+        // SCRIPT_TEMPLATE_VERSION in utils/appsScript.js
+        scriptTemplateVersion: {
+            type: String,
+            default: null,
+        },
+        scriptVersionNumber: {
+            type: Number,
+            default: null,
+        },
+        scriptUpdatedAt: {
+            type: Date,
+            default: null,
+        },
+        // Provisioning state, see utils/connectionStatus.js
+        status: {
+            type: String,
+            enum: [
+                "pending",
+                "importing",
+                "creating_script",
+                "deploying",
+                "initializing",
+                "awaiting_activation",
+                "active",
+                "failed",
+            ],
+            default: "pending",
+        },
+        statusUpdatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        statusHistory: [
+            {
+                _id: false,
+                status: String,
+                at: Date,
+            },
+        ],
+        lastError: {
+            message: String,
+            step: String,
+            at: Date,
+        },
+        lastSyncAt: {
+            type: Date,
+            default: null,
+        },
+        // Reported by the Apps Script through POST /api/heartbeat, see
+        // utils/connectionHealth.js
+        triggerState: {
+            type: String,
+            enum: ["unknown", "pending", "active", "inactive"],
+            default: "unknown",
+        },
+        triggerStateUpdatedAt: {
+            type: Date,
+            default: null,
+        },
+        lastSeenAt: {
+            type: Date,
+            default: null,
+        },
+        lastHeartbeatEvent: {
+            type: String,
+            default: null,
+        },
+        outboxPending: {
+            type: Number,
+            default: 0,
+        },
+        rejectedRows: {
+            type: Number,
+            default: 0,
+        },
+        // Set when a deployed script has not reported within the stale window
+        stale: {
+            type: Boolean,
+            default: false,
+        },
+        staleSince: {
+            type: Date,
+            default: null,
+        },
+        // Polling sync state, see jobs/pollingSync.js. sheetModifiedAt is
+        // the Drive modifiedTime of the last synced read.
+        pollCheckedAt: {
+            type: Date,
+            default: null,
+        },
+        sheetModifiedAt: {
+            type: Date,
+            default: null,
+        },
+        lastPollError: {
+            message: String,
+            at: Date,
+        },
+        // "drive_watch" connections get no Apps Script; edits are found by
+        // diffing the sheet after Drive push notifications
+        changeSource: {
+            type: String,
+            enum: ["apps_script", "drive_watch"],
+            default: "apps_script",
+        },
+        // Current Drive files.watch channel, see utils/driveWatch.js
+        driveWatch: {
+            channelId: String,
+            resourceId: String,
+            tokenHash: String,
+            expiration: Date,
+            lastNotificationAt: Date,
+            lastError: String,
+        },
         rows: [
             {
                 type: mongoose.Schema.Types.ObjectId,
@@ -28,4 +232,8 @@ const googleCredentialSchema = new mongoose.Schema(
     },
     { timestamps: true }
 );
+// Also finds a user's existing connection to a spreadsheet on reconnect
+googleCredentialSchema.index({ userId: 1, spreadsheetId: 1 });
+googleCredentialSchema.index({ status: 1, lastSeenAt: 1 });
+googleCredentialSchema.index({ "driveWatch.channelId": 1 }, { sparse: true });
 module.exports = mongoose.model("GoogleCredential", googleCredentialSchema);
\ No newline at end of file
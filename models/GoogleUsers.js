@@ -10,11 +10,18 @@ type: mongoose.Schema.Types.ObjectId,
 ref: "JiraCredential",
 },
 
+// Most recently connected spreadsheet, kept for older clients
 google_credential_id: {
 type: mongoose.Schema.Types.ObjectId,
 ref: "GoogleCredential", 
 },
 
+// Every Google Sheets connection of the user
+google_credential_ids: [{
+type: mongoose.Schema.Types.ObjectId,
+ref: "GoogleCredential",
+}],
+
 },
 { timestamps: true } 
 );
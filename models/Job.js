@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// Durable background jobs, see utils/jobRunner.js. A job is owned by at most
+// one worker at a time through the lockedBy/lockedUntil lease.
+const jobSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ["provision", "resync", "upgrade_script", "drive_sync"],
+            required: true,
+        },
+        connectionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "GoogleCredential",
+            required: true,
+        },
+        params: {
+            type: Object,
+            default: {},
+        },
+        status: {
+            type: String,
+            enum: ["queued", "running", "completed", "failed"],
+            default: "queued",
+        },
+        // Outputs of completed steps, keyed by step name. Steps found here
+        // are skipped when the job is resumed.
+        checkpoints: {
+            type: Object,
+            default: {},
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 5,
+        },
+        runAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lockedBy: {
+            type: String,
+            default: null,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        result: {
+            type: Object,
+            default: null,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        startedAt: {
+            type: Date,
+        },
+        finishedAt: {
+            type: Date,
+        },
+    },
+    { timestamps: true, minimize: false }
+);
+jobSchema.index({ connectionId: 1, createdAt: -1 });
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ "params.batchId": 1 }, { sparse: true });
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// One document per state token handed to /auth/google. The callback consumes
+// it exactly once; expired documents are removed by the TTL index.
+const oauthStateSchema = new mongoose.Schema(
+    {
+        nonce: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        spreadsheetId: {
+            type: String,
+            required: true,
+        },
+        sheetRange: {
+            type: String,
+            required: true,
+        },
+        // Requested change source of the connection; unset keeps the
+        // current one on a reconnect
+        changeSource: {
+            type: String,
+            enum: ["apps_script", "drive_watch"],
+        },
+        // Provisioning waits for an explicit confirmation, see
+        // POST /api/connections/:id/provision
+        previewFirst: {
+            type: Boolean,
+            default: false,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: { expires: 0 },
+        },
+        usedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+module.exports = mongoose.model("OAuthState", oauthStateSchema);
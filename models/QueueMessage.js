@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Messages of the Mongo-backed local queue transport (QUEUE_TRANSPORT=mongo)
+const queueMessageSchema = new mongoose.Schema(
+    {
+        queue: {
+            type: String,
+            required: true,
+        },
+        body: {
+            type: String,
+            required: true,
+        },
+        visibleAt: {
+            type: Date,
+            default: Date.now,
+        },
+        receiveCount: {
+            type: Number,
+            default: 0,
+        },
+        receiptHandle: {
+            type: String,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+queueMessageSchema.index({ queue: 1, visibleAt: 1, createdAt: 1 });
+queueMessageSchema.index({ receiptHandle: 1 }, { sparse: true });
+module.exports = mongoose.model("QueueMessage", queueMessageSchema);
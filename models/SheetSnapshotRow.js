@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Hash of one row as last sent for a connection, used by the diff sync in
+// utils/sheetDiffSync.js to enqueue only rows that changed since. One
+// document per row keeps large sheets clear of the document size limit and
+// lets a sync write only the rows that changed.
+const sheetSnapshotRowSchema = new mongoose.Schema(
+    {
+        connectionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "GoogleCredential",
+            required: true,
+        },
+        // Tab label, so a single tab can be re-read on its own
+        tab: {
+            type: String,
+            required: true,
+        },
+        // Tab label, row key and occurrence, see rowKey()
+        key: {
+            type: String,
+            required: true,
+        },
+        hash: {
+            type: String,
+            required: true,
+        },
+        takenAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { timestamps: true }
+);
+
+sheetSnapshotRowSchema.index({ connectionId: 1, key: 1 }, { unique: true });
+sheetSnapshotRowSchema.index({ connectionId: 1, tab: 1 });
+
+module.exports = mongoose.model("SheetSnapshotRow", sheetSnapshotRowSchema);
@@ -1,21 +1,185 @@
 const express = require('express');
-const { sendUpdateMessage } = require('../sqs-service');
-const { updateSchema } = require('../utils/validator'); 
+const { sendUpdateMessage, sendUpdateMessages, recordFailedMessages } = require('../sqs-service');
+const { updateSchema, oauthStateRequestSchema, heartbeatSchema } = require('../utils/validator'); 
+const { requireConnectionKey, requirePlatformToken, requireEventsAccess } = require('../middleware/auth');
+const { issueState } = require('../utils/oauthState');
+const { normalizeUpdatePayload } = require('../utils/rowIdentity');
+const { getConnectionTabs, toTabConfig } = require('../utils/connectionTabs');
+const { recordHeartbeat } = require('../utils/connectionHealth');
+const connectionRoutes = require('./connectionRoutes');
+const failedMessageRoutes = require('./failedMessageRoutes');
+const scriptUpgradeRoutes = require('./scriptUpgradeRoutes');
 const router = express.Router();
 
-router.post('/update', async (req, res) => {
+// Rows per /bulk-update request; the Apps Script splits larger edits
+const MAX_BULK_UPDATE_ROWS = 500;
+
+// Edits refused here are kept with the failed messages like rows the queue
+// refuses, so they can be fixed and replayed from /api/failed-messages
+const toValidationFailure = (payload, { error, issues }) => issues
+? { payload, type: 'validation', reason: 'ZodError', issues }
+: { payload, type: 'validation', reason: 'RowIdentityError', message: error };
+
+// "input_data.Contract End Date: ..." so the sheet user can find the cell
+const formatIssue = (issue) => issue.path?.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message;
+
+// A connection switched to drive_watch may still have its Apps Script
+// installed; its edits are picked up by the Drive sync instead
+const syncedByDrive = (connection) => connection.changeSource === 'drive_watch';
+
+// EventSource cannot send headers; the stream also takes ?token=
+router.get('/connections/:id/events', requireEventsAccess, connectionRoutes.streamProvisioningEvents);
+router.use('/connections', requirePlatformToken, connectionRoutes);
+router.use('/failed-messages', requirePlatformToken, failedMessageRoutes);
+router.use('/script-upgrades', requirePlatformToken, scriptUpgradeRoutes);
+
+router.post('/update', requireConnectionKey, async (req, res) => {
 try {
 
-updateSchema.parse(req.body);
+if (syncedByDrive(req.auth.connection)) {
+return res.status(200).json({ message: 'Connection is synced through Drive; edit ignored', ignored: true });
+}
+const { payload, error, ignored } = normalizeUpdatePayload(req.body, req.auth.connection);
+if (ignored) {
+return res.status(200).json({ message: 'Tab is not synced; edit ignored', ignored: true });
+}
+if (error) {
+await recordFailedMessages('update', [toValidationFailure(payload, { error })]);
+return res.status(400).json({ message: error });
+}
+const parsed = updateSchema.safeParse(payload);
+if (!parsed.success) {
+await recordFailedMessages('update', [toValidationFailure(payload, { issues: parsed.error.issues })]);
+return res.status(400).json({ message: formatIssue(parsed.error.issues[0]), issues: parsed.error.issues });
+}
+
+const result = await sendUpdateMessage(payload);
+if (!result.ok) {
+return res.status(202).json({ message: 'Update stored for replay' });
+}
 
-await sendUpdateMessage(req.body);
+await req.auth.connection.updateOne({ $set: { lastSyncAt: new Date() } });
 res.status(202).json({ message: 'Update queued' });
 
 } catch (err) {
 console.error('Update error:', err);
 
-res.status(400).json({ message: err.errors?.[0]?.message || 'Validation failed' });
+// Server faults must stay 5xx so the Apps Script keeps the edit for retry
+if (err.name === 'ZodError') {
+return res.status(400).json({ message: err.issues?.[0]?.message || 'Validation failed' });
+}
+res.status(500).json({ message: 'Could not queue update' });
+}
+});
+
+// Multi-row edits (pastes, fill-downs, sorts). Body: the fields shared by
+// every row (connectionId, userId, spreadsheet_id, sync_timestamp) plus
+// rows: [{ sheet_name, row_index, column_index, input_data, ... }]. Each
+// row is routed and validated like a single /update; valid rows are queued
+// together and the rest are reported by index.
+router.post('/bulk-update', requireConnectionKey, async (req, res) => {
+try {
+
+const { rows, ...shared } = req.body || {};
+if (!Array.isArray(rows) || !rows.length) {
+return res.status(400).json({ message: 'rows must be a non-empty array' });
+}
+if (rows.length > MAX_BULK_UPDATE_ROWS) {
+return res.status(413).json({ message: `At most ${MAX_BULK_UPDATE_ROWS} rows per request` });
+}
+if (syncedByDrive(req.auth.connection)) {
+return res.status(200).json({ message: 'Connection is synced through Drive; edits ignored', queued: 0, stored: 0, ignored: rows.length, rejected: [] });
+}
+
+const valid = [];
+const rejected = [];
+const failures = [];
+let ignored = 0;
+
+rows.forEach((row, index) => {
+if (!row || typeof row !== 'object' || Array.isArray(row)) {
+rejected.push({ index, message: 'Row must be an object' });
+return;
+}
+const { payload, error, ignored: outsideTabs } = normalizeUpdatePayload({ ...shared, ...row }, req.auth.connection);
+if (outsideTabs) {
+ignored += 1;
+return;
+}
+if (error) {
+rejected.push({ index, row_index: row.row_index, message: error });
+failures.push(toValidationFailure(payload, { error }));
+return;
+}
+const parsed = updateSchema.safeParse(payload);
+if (!parsed.success) {
+rejected.push({ index, row_index: row.row_index, message: formatIssue(parsed.error.issues[0]), issues: parsed.error.issues });
+failures.push(toValidationFailure(payload, { issues: parsed.error.issues }));
+return;
+}
+valid.push(payload);
+});
+await recordFailedMessages('update', failures);
+
+if (!valid.length) {
+return rejected.length
+? res.status(400).json({ message: 'No valid rows', queued: 0, stored: 0, ignored, rejected })
+: res.status(200).json({ message: 'Tabs are not synced; edits ignored', queued: 0, stored: 0, ignored, rejected });
+}
+
+// Rows the queue refused are kept as failed messages for replay, as for
+// a single /update
+const { accepted, rejected: stored } = await sendUpdateMessages(valid);
+if (accepted.length) {
+await req.auth.connection.updateOne({ $set: { lastSyncAt: new Date() } });
+}
+
+res.status(202).json({
+message: `${accepted.length} of ${rows.length} rows queued`,
+queued: accepted.length,
+stored: stored.length,
+ignored,
+rejected
+});
+
+} catch (err) {
+console.error('Bulk update error:', err);
+res.status(500).json({ message: 'Could not queue updates' });
 }
 });
 
+// Tabs the Apps Script should sync; edits elsewhere, and edits of the
+// write-back columns, are not sent
+router.get('/sync-config', requireConnectionKey, async (req, res) => {
+const { connection } = req.auth;
+res.json({
+tabs: getConnectionTabs(connection).map(toTabConfig),
+writeBackHeaders: (connection.writeBackColumns || []).map(({ header }) => header)
+});
+});
+
+// Apps Script lifecycle reports: configured, activated, deactivated and an
+// hourly heartbeat. Body: { connectionId, userId, event, triggerActive,
+// pendingActivation?, outboxPending?, rejectedRows? }
+router.post('/heartbeat', requireConnectionKey, async (req, res) => {
+const parsed = heartbeatSchema.safeParse(req.body);
+if (!parsed.success) {
+return res.status(400).json({ message: formatIssue(parsed.error.issues[0]) });
+}
+
+const result = await recordHeartbeat(req.auth.connection, parsed.data);
+res.json(result);
+});
+
+// Issues a single-use state token for /auth/google?state=...
+router.post('/oauth/state', requirePlatformToken, async (req, res) => {
+const parsed = oauthStateRequestSchema.safeParse(req.body);
+if (!parsed.success) {
+return res.status(400).json({ message: parsed.error.issues[0]?.message || 'Validation failed' });
+}
+
+const { state, expiresAt } = await issueState(parsed.data);
+res.status(201).json({ state, expiresAt });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,643 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { google } = require('googleapis');
+const GoogleCredential = require('../models/GoogleCredential');
+const Job = require('../models/Job');
+const SheetSnapshotRow = require('../models/SheetSnapshotRow');
+const { enqueueJob } = require('../utils/jobRunner');
+const { subscribeProvisioningEvents } = require('../utils/provisioningEvents');
+const { issueEventsToken } = require('../utils/eventsToken');
+const { getConnectionClient } = require('../utils/googleAuth');
+const { unlinkUserConnection, hasPendingProvisioning, purgeConnectionRecords } = require('../utils/userConnections');
+const { setConnectionStatus } = require('../utils/connectionStatus');
+const { syncChangedRows } = require('../utils/sheetDiffSync');
+const { getWebhookUrl, startDriveWatch, stopDriveWatch } = require('../utils/driveWatch');
+const { decryptTokens } = require('../utils/tokenCrypto');
+const { retryGoogleAPICall } = require('../utils/retry');
+const {
+  resyncRequestSchema,
+  rowIdentitySchema,
+  writeBackColumnsSchema,
+  writeBackRequestSchema,
+  changeSourceSchema
+} = require('../utils/validator');
+const { fieldsForRecordType, validateColumnMappings } = require('../utils/columnMapping');
+const { getConnectionTabs, selectTabs, validateTabs, toTabConfig } = require('../utils/connectionTabs');
+const { previewSheet } = require('../utils/sheetPreview');
+const { publishWriteBack } = require('../sqs-service');
+const { SCRIPT_TEMPLATE_VERSION } = require('../utils/appsScript');
+const router = express.Router();
+
+const EVENT_POLL_INTERVAL_MS = 10000;
+
+// Never expose tokens or key hashes over the API
+const toConnectionSummary = (connection) => ({
+  id: connection._id.toString(),
+  userId: connection.userId.toString(),
+  userEmail: connection.userEmail || null,
+  spreadsheetId: connection.spreadsheetId,
+  sheetRange: connection.sheetRange,
+  status: connection.status,
+  stale: Boolean(connection.stale),
+  lastSyncAt: connection.lastSyncAt,
+  createdAt: connection.createdAt,
+  updatedAt: connection.updatedAt
+});
+
+const toRowIdentity = (connection) => ({
+  mode: connection.rowIdentity?.mode || 'project',
+  keyColumns: connection.rowIdentity?.keyColumns || []
+});
+
+const toConnectionDetail = (connection) => ({
+  ...toConnectionSummary(connection),
+  provisioning: {
+    appsScriptId: connection.appsScriptId,
+    deploymentId: connection.deploymentId,
+    webAppUrl: connection.webAppUrl,
+    scriptDeployed: Boolean(connection.appsScriptId && connection.deploymentId),
+    scriptTemplateVersion: connection.scriptTemplateVersion || null,
+    scriptVersionNumber: connection.scriptVersionNumber || null,
+    scriptUpdatedAt: connection.scriptUpdatedAt || null,
+    scriptUpToDate: connection.scriptTemplateVersion === SCRIPT_TEMPLATE_VERSION
+  },
+  script: {
+    triggerState: connection.triggerState || 'unknown',
+    triggerStateUpdatedAt: connection.triggerStateUpdatedAt || null,
+    lastSeenAt: connection.lastSeenAt || null,
+    lastHeartbeatEvent: connection.lastHeartbeatEvent || null,
+    staleSince: connection.stale ? connection.staleSince : null,
+    outboxPending: connection.outboxPending || 0,
+    rejectedRows: connection.rejectedRows || 0
+  },
+  changeSource: connection.changeSource || 'apps_script',
+  driveWatch: connection.driveWatch?.channelId
+    ? {
+      channelId: connection.driveWatch.channelId,
+      expiration: connection.driveWatch.expiration,
+      lastNotificationAt: connection.driveWatch.lastNotificationAt || null,
+      lastError: connection.driveWatch.lastError || null
+    }
+    : null,
+  polling: {
+    checkedAt: connection.pollCheckedAt || null,
+    sheetModifiedAt: connection.sheetModifiedAt || null,
+    lastError: connection.lastPollError?.message ? connection.lastPollError : null
+  },
+  rowIdentity: toRowIdentity(connection),
+  tabs: getConnectionTabs(connection).map(toTabConfig),
+  apiKeyIssuedAt: connection.apiKeyIssuedAt || null,
+  tokensRefreshedAt: connection.tokensRefreshedAt || null
+});
+
+const toJobSummary = (job) => ({
+  id: job._id.toString(),
+  type: job.type,
+  connectionId: job.connectionId.toString(),
+  params: job.params,
+  status: job.status,
+  attempts: job.attempts,
+  completedSteps: Object.keys(job.checkpoints || {}),
+  result: job.result,
+  error: job.error,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null,
+  createdAt: job.createdAt
+});
+
+const toConnectionStatus = (connection) => ({
+  id: connection._id.toString(),
+  status: connection.status,
+  statusUpdatedAt: connection.statusUpdatedAt,
+  history: connection.statusHistory || [],
+  lastError: connection.lastError?.message ? connection.lastError : null
+});
+
+const findConnection = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid connection id' });
+    return null;
+  }
+
+  const connection = await GoogleCredential.findById(req.params.id);
+  if (!connection) {
+    res.status(404).json({ message: 'Connection not found' });
+    return null;
+  }
+
+  return connection;
+};
+
+router.get('/', async (req, res) => {
+  const { userId } = req.query;
+  if (!mongoose.isValidObjectId(userId)) {
+    return res.status(400).json({ message: 'userId query parameter is required' });
+  }
+
+  const connections = await GoogleCredential.find({ userId }).sort({ createdAt: -1 });
+  res.json({ connections: connections.map(toConnectionSummary) });
+});
+
+router.get('/:id', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  res.json({ connection: toConnectionDetail(connection) });
+});
+
+router.get('/:id/status', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const job = await Job.findOne({ connectionId: connection._id, type: 'provision' }).sort({ createdAt: -1 });
+  res.json({
+    ...toConnectionStatus(connection),
+    provisioningJob: job ? toJobSummary(job) : null
+  });
+});
+
+// Server-Sent Events stream of provisioning progress. Event types:
+//   status  - { status } on every state machine transition
+//   step    - { step, message, ... } Apps Script step progress
+//   import  - { rowsRead, rowsQueued, rowsRejected, lastRow } per chunk
+//   error   - { message, step, willRetry } when a provisioning attempt fails
+// The current status is sent as soon as the stream opens. Mounted by
+// routes/apiRoutes.js so that browsers can authenticate with an events token.
+const streamProvisioningEvents = async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const connectionId = connection._id.toString();
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  let lastStatusAt = connection.statusUpdatedAt?.getTime() || 0;
+  send({ type: 'status', connectionId, at: new Date().toISOString(), ...toConnectionStatus(connection) });
+
+  const unsubscribe = subscribeProvisioningEvents(connectionId, (event) => {
+    if (event.type === 'status') lastStatusAt = Date.parse(event.at);
+    send(event);
+  });
+
+  // Catches transitions made by a job running on another instance, and
+  // keeps proxies from closing an idle stream.
+  const poll = setInterval(async () => {
+    try {
+      const current = await GoogleCredential.findById(connectionId).select('status statusUpdatedAt statusHistory lastError');
+      if (!current) {
+        send({ type: 'error', connectionId, at: new Date().toISOString(), message: 'Connection was deleted' });
+        clearInterval(poll);
+        unsubscribe();
+        return res.end();
+      }
+
+      if (current.statusUpdatedAt && current.statusUpdatedAt.getTime() > lastStatusAt) {
+        lastStatusAt = current.statusUpdatedAt.getTime();
+        send({ type: 'status', connectionId, at: new Date().toISOString(), ...toConnectionStatus(current) });
+      } else {
+        res.write(': keep-alive\n\n');
+      }
+    } catch (error) {
+      console.error(`[EVENTS] Status poll failed for connection ${connectionId}:`, error.message);
+    }
+  }, EVENT_POLL_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(poll);
+    unsubscribe();
+  });
+};
+
+// Issues a short-lived token for GET /:id/events?token=..., for an
+// EventSource that cannot send the platform token
+router.post('/:id/events-token', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const { token, expiresAt } = issueEventsToken(connection._id);
+  res.status(201).json({
+    token,
+    expiresAt,
+    eventsUrl: `/api/connections/${connection._id}/events?token=${encodeURIComponent(token)}`
+  });
+});
+
+// Index of the registered tab named by ?tab= (a label or a sheet name with
+// a single tab). Connections without registered tabs use the
+// connection-level mapping and resolve to -1. Sends a 400 and returns null
+// when the tab cannot be resolved.
+const resolveMappingTab = (connection, tab, res) => {
+  if (!connection.tabs?.length) {
+    if (!tab || tab === connection.sheetRange) return -1;
+    res.status(400).json({ message: `Tab "${tab}" is not registered on this connection` });
+    return null;
+  }
+
+  const tabs = getConnectionTabs(connection);
+  if (!tab && tabs.length === 1) return 0;
+
+  const byLabel = tabs.findIndex((t) => t.label === tab);
+  const bySheet = tabs.filter((t) => t.sheetName === tab);
+  if (byLabel !== -1) return byLabel;
+  if (bySheet.length === 1) return tabs.indexOf(bySheet[0]);
+
+  res.status(400).json({
+    message: tab ? `Tab "${tab}" does not name exactly one registered tab` : 'tab query parameter is required',
+    tabs: tabs.map((t) => t.label)
+  });
+  return null;
+};
+
+const toColumnMapping = (connection, index) => {
+  const tab = index === -1 ? getConnectionTabs(connection)[0] : getConnectionTabs(connection)[index];
+  return {
+    tab: tab.label,
+    recordType: tab.recordType,
+    mappings: tab.columnMappings.map(({ header, field }) => ({ header, field })),
+    canonicalFields: fieldsForRecordType(tab.recordType)
+  };
+};
+
+router.get('/:id/column-mapping', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const index = resolveMappingTab(connection, req.query.tab, res);
+  if (index === null) return;
+
+  res.json(toColumnMapping(connection, index));
+});
+
+// Replaces the mapping of one tab (?tab=). Body: { mappings: [{ header, field }] }.
+// It applies to rows imported or updated from now on; use /resync to re-import.
+router.put('/:id/column-mapping', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const index = resolveMappingTab(connection, req.query.tab, res);
+  if (index === null) return;
+
+  const recordType = index === -1 ? 'project' : connection.tabs[index].recordType;
+  const mappings = req.body?.mappings;
+  const problems = validateColumnMappings(mappings, recordType);
+  if (problems.length) {
+    return res.status(400).json({ message: problems[0], problems });
+  }
+
+  const columnMappings = mappings.map(({ header, field }) => ({ header: header.trim(), field }));
+  if (index === -1) {
+    connection.columnMappings = columnMappings;
+  } else {
+    connection.tabs[index].columnMappings = columnMappings;
+  }
+  await connection.save();
+  res.json(toColumnMapping(connection, index));
+});
+
+router.get('/:id/tabs', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  res.json({ tabs: getConnectionTabs(connection).map(toTabConfig) });
+});
+
+// Replaces the synced tabs. Body: { tabs: [{ sheetName, range?, recordType?,
+// columnMappings? }] }, see utils/connectionTabs.js. The first tab becomes
+// the connection's sheetRange. Use /resync to import newly added tabs.
+router.put('/:id/tabs', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const { tabs, problems } = validateTabs(req.body?.tabs, connection.rowIdentity);
+  if (problems.length) {
+    return res.status(400).json({ message: problems[0], problems });
+  }
+
+  connection.tabs = tabs;
+  connection.sheetRange = tabs[0].sheetName;
+  await connection.save();
+  res.json({ tabs: getConnectionTabs(connection).map(toTabConfig) });
+});
+
+router.get('/:id/row-identity', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  res.json(toRowIdentity(connection));
+});
+
+// Body: { mode: 'project' } | { mode: 'columns', keyColumns: [...] } | { mode: 'row_id' }.
+// Switching to row_id queues a full resync, which adds the hidden id column
+// and writes an id into every existing row. A connection that was never
+// provisioned gets its ids from the first import instead.
+router.put('/:id/row-identity', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const parsed = rowIdentitySchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ message: parsed.error.issues[0]?.message || 'Validation failed' });
+  }
+
+  if (parsed.data.mode === 'row_id' && connection.tabs?.some((tab) => tab.range)) {
+    return res.status(400).json({ message: 'row_id identity needs whole tabs; remove the ranges from the registered tabs first' });
+  }
+
+  const previousMode = connection.rowIdentity?.mode || 'project';
+  connection.rowIdentity = parsed.data;
+  await connection.save();
+
+  let job = null;
+  if (parsed.data.mode === 'row_id' && previousMode !== 'row_id' && connection.status !== 'pending') {
+    job = await enqueueJob({ type: 'resync', connectionId: connection._id, params: { mode: 'full' } });
+  }
+
+  res.json({ ...toRowIdentity(connection), resyncJobId: job ? job._id.toString() : null });
+});
+
+// Switches where edits come from. Body: { mode: 'apps_script' | 'drive_watch' }.
+// drive_watch opens a Drive channel, after taking a diff baseline when the
+// connection has none; an existing Apps Script is left in place.
+// apps_script closes the channel and queues provisioning when the
+// connection has no deployed script yet.
+router.put('/:id/change-source', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const parsed = changeSourceSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ message: parsed.error.issues[0]?.message || 'Validation failed' });
+  }
+  const { mode } = parsed.data;
+  if (mode === 'drive_watch' && !getWebhookUrl()) {
+    return res.status(503).json({ message: 'DRIVE_WEBHOOK_URL is not configured' });
+  }
+
+  // Tokens that cannot be decrypted or refreshed need a reconnect
+  let oauth2Client;
+  try {
+    oauth2Client = await getConnectionClient(connection);
+  } catch (error) {
+    return res.status(409).json({ message: `Could not load stored tokens: ${error.message}; reconnect the spreadsheet` });
+  }
+  let job = null;
+
+  if (mode === 'drive_watch') {
+    try {
+      if (!(await SheetSnapshotRow.exists({ connectionId: connection._id }))) {
+        await syncChangedRows(oauth2Client, connection, { enqueue: false });
+      }
+      await startDriveWatch(oauth2Client, connection);
+    } catch (error) {
+      return res.status(502).json({ message: `Could not watch the spreadsheet: ${error.message}` });
+    }
+    await GoogleCredential.updateOne({ _id: connection._id }, { $set: { changeSource: mode } });
+    if (connection.status === 'awaiting_activation') await setConnectionStatus(connection._id, 'active');
+  } else {
+    try {
+      await stopDriveWatch(oauth2Client, connection);
+    } catch (error) {
+      return res.status(502).json({ message: `Could not stop watching the spreadsheet: ${error.message}` });
+    }
+    await GoogleCredential.updateOne({ _id: connection._id }, { $set: { changeSource: mode } });
+    if (!(connection.appsScriptId && connection.deploymentId)) {
+      if (!(await hasPendingProvisioning(connection._id))) {
+        job = await enqueueJob({ type: 'provision', connectionId: connection._id });
+      }
+    } else if (connection.status === 'active' && connection.triggerState !== 'active') {
+      await setConnectionStatus(connection._id, 'awaiting_activation');
+    }
+  }
+
+  const updated = await GoogleCredential.findById(connection._id);
+  res.json({ connection: toConnectionDetail(updated), provisioningJobId: job ? job._id.toString() : null });
+});
+
+// Re-reads the sheet with the stored tokens and enqueues the rows again.
+// Body: { mode: 'full' } (default) or { mode: 'range', startRow, endRow },
+// plus an optional tab to resync only that tab.
+router.post('/:id/resync', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const parsed = resyncRequestSchema.safeParse(req.body?.mode ? req.body : { mode: 'full', ...req.body });
+  if (!parsed.success) {
+    return res.status(400).json({ message: parsed.error.issues[0]?.message || 'Validation failed' });
+  }
+  if (parsed.data.tab && !selectTabs(connection, parsed.data.tab).length) {
+    return res.status(400).json({ message: `Tab "${parsed.data.tab}" is not registered on this connection` });
+  }
+
+  const job = await enqueueJob({
+    type: 'resync',
+    connectionId: connection._id,
+    params: parsed.data
+  });
+
+  res.status(202).json({
+    jobId: job._id.toString(),
+    status: job.status,
+    statusUrl: `/api/connections/${connection._id}/jobs/${job._id}`
+  });
+});
+
+// Dry run of an import: reads the sheet with the stored tokens and reports
+// header mismatches and per-row validation issues without touching the sheet
+// or the queue. Works before the first import of a previewFirst connection.
+// Body: { mode: 'full' } (default) or { mode: 'range', startRow, endRow },
+// plus an optional tab to preview only that tab.
+router.post('/:id/preview', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const parsed = resyncRequestSchema.safeParse(req.body?.mode ? req.body : { mode: 'full', ...req.body });
+  if (!parsed.success) {
+    return res.status(400).json({ message: parsed.error.issues[0]?.message || 'Validation failed' });
+  }
+  if (parsed.data.tab && !selectTabs(connection, parsed.data.tab).length) {
+    return res.status(400).json({ message: `Tab "${parsed.data.tab}" is not registered on this connection` });
+  }
+
+  const rowWindow = parsed.data.mode === 'range'
+    ? { tab: parsed.data.tab, startRow: parsed.data.startRow, endRow: parsed.data.endRow }
+    : { tab: parsed.data.tab };
+
+  let preview;
+  try {
+    const oauth2Client = await getConnectionClient(connection);
+    preview = await previewSheet(oauth2Client, connection, rowWindow);
+  } catch (error) {
+    console.error(`[PREVIEW] Could not read sheet for connection ${connection._id}:`, error.message);
+    return res.status(502).json({ message: `Could not read the sheet: ${error.message}` });
+  }
+
+  res.json({ id: connection._id.toString(), ...preview });
+});
+
+// Starts provisioning (import, then the Apps Script or Drive channel) of a
+// connection authorized with previewFirst, once its preview looks right.
+// Also re-runs provisioning of a connection whose last attempt failed.
+router.post('/:id/provision', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  if (await hasPendingProvisioning(connection._id)) {
+    return res.status(409).json({ message: 'Provisioning is already queued or running' });
+  }
+  if (!['pending', 'failed'].includes(connection.status)) {
+    return res.status(409).json({ message: `Connection is already provisioned (status "${connection.status}")` });
+  }
+
+  const job = await enqueueJob({ type: 'provision', connectionId: connection._id });
+  res.status(202).json({
+    jobId: job._id.toString(),
+    status: job.status,
+    statusUrl: `/api/connections/${connection._id}/jobs/${job._id}`
+  });
+});
+
+const toWriteBackColumns = (connection) => ({
+  columns: (connection.writeBackColumns || []).map(({ key, header }) => ({ key, header }))
+});
+
+router.get('/:id/write-back-columns', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  res.json(toWriteBackColumns(connection));
+});
+
+// Replaces the reserved columns. Body: { columns: [{ key, header }] } where
+// key is the platform field and header the sheet column it is written to.
+// Missing columns are added to the sheet on the first write.
+router.put('/:id/write-back-columns', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const parsed = writeBackColumnsSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ message: parsed.error.issues[0]?.message || 'Validation failed' });
+  }
+
+  connection.writeBackColumns = parsed.data.columns;
+  await connection.save();
+  res.json(toWriteBackColumns(connection));
+});
+
+// Queues platform-computed values for the sheet. Body: { updates: [{ tab?,
+// row_index?, project_identifier?, values: { key: value } }] }. Rows are
+// found by project_identifier when given, otherwise by row_index.
+router.post('/:id/write-back', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const parsed = writeBackRequestSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ message: parsed.error.issues[0]?.message || 'Validation failed' });
+  }
+
+  const configuredKeys = new Set((connection.writeBackColumns || []).map((column) => column.key));
+  const unknownKeys = [...new Set(parsed.data.updates.flatMap((update) => Object.keys(update.values)))]
+    .filter((key) => !configuredKeys.has(key));
+  if (unknownKeys.length) {
+    return res.status(400).json({ message: `Not write-back columns of this connection: ${unknownKeys.join(', ')}` });
+  }
+
+  const result = await publishWriteBack({ connectionId: connection._id.toString(), updates: parsed.data.updates });
+  if (!result.ok) {
+    const status = result.type === 'size' ? 413 : 502;
+    return res.status(status).json({ message: result.message || 'Could not queue write-back', reason: result.reason });
+  }
+
+  res.status(202).json({ messageId: result.messageId, updates: parsed.data.updates.length });
+});
+
+router.get('/:id/jobs/:jobId', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.jobId)) {
+    return res.status(400).json({ message: 'Invalid id' });
+  }
+
+  const job = await Job.findOne({ _id: req.params.jobId, connectionId: req.params.id });
+  if (!job) return res.status(404).json({ message: 'Job not found' });
+
+  res.json({ job: toJobSummary(job) });
+});
+
+// Undeploys the Apps Script web app, revokes the Google grant unless another
+// connection of the same Google account still uses it, and removes the
+// connection with its pending jobs and undelivered messages. Google-side failures are reported but do not block the delete,
+// since the user may already have revoked access from their Google account.
+router.delete('/:id', async (req, res) => {
+  const connection = await findConnection(req, res);
+  if (!connection) return;
+
+  const connectionId = connection._id.toString();
+  const result = { undeployed: false, tokenRevoked: false, errors: [] };
+
+  // First, so no worker starts a job for the connection while it goes away
+  result.cleanup = await purgeConnectionRecords(connection._id);
+
+  let oauth2Client = null;
+  try {
+    oauth2Client = await getConnectionClient(connection);
+  } catch (error) {
+    result.errors.push(`Could not load stored tokens: ${error.message}`);
+  }
+
+  if (oauth2Client && connection.appsScriptId && connection.deploymentId) {
+    try {
+      const script = google.script({ version: 'v1', auth: oauth2Client });
+      await retryGoogleAPICall(() =>
+        script.projects.deployments.delete({
+          scriptId: connection.appsScriptId,
+          deploymentId: connection.deploymentId
+        })
+      );
+      result.undeployed = true;
+    } catch (error) {
+      result.errors.push(`Could not undeploy Apps Script: ${error.message}`);
+    }
+  }
+
+  if (oauth2Client && connection.driveWatch?.channelId) {
+    await stopDriveWatch(oauth2Client, connection);
+  }
+
+  // Revoking a token revokes the whole grant of the Google account, which
+  // other connections of the same account still use. Their tokens stay;
+  // this connection's tokens go away with the document below.
+  const sharesGrant = await GoogleCredential.exists({
+    _id: { $ne: connection._id },
+    ...(connection.userEmail ? { userEmail: connection.userEmail } : { userId: connection.userId })
+  });
+  if (sharesGrant) {
+    result.tokenRevokeSkipped = 'Other connections use the same Google account';
+  } else if (oauth2Client) {
+    try {
+      const { tokens } = decryptTokens(connection.googleTokens);
+      await oauth2Client.revokeToken(tokens.refresh_token || tokens.access_token);
+      result.tokenRevoked = true;
+    } catch (error) {
+      result.errors.push(`Could not revoke Google token: ${error.message}`);
+    }
+  }
+
+  await GoogleCredential.deleteOne({ _id: connection._id });
+  await SheetSnapshotRow.deleteMany({ connectionId: connection._id });
+  await unlinkUserConnection(connection.userId, connection._id);
+
+  console.log(`[CONNECTIONS] Deleted connection ${connectionId}`, result);
+  res.json({ id: connectionId, deleted: true, ...result });
+});
+
+module.exports = router;
+module.exports.streamProvisioningEvents = streamProvisioningEvents;
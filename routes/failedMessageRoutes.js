@@ -0,0 +1,201 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const FailedMessage = require('../models/FailedMessage');
+const { publishBulkImportRows, publishUpdate, publishWriteBack } = require('../sqs-service');
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 500;
+
+const toFailedMessage = (message) => ({
+  id: message._id.toString(),
+  kind: message.kind,
+  connectionId: message.connectionId,
+  payload: message.payload,
+  errorType: message.errorType,
+  errorName: message.errorName,
+  errorMessage: message.errorMessage,
+  issues: message.issues,
+  attempts: message.attempts,
+  status: message.status,
+  lastAttemptAt: message.lastAttemptAt,
+  replayedAt: message.replayedAt,
+  createdAt: message.createdAt
+});
+
+// Builds a filter from ?connectionId=&status=&kind=
+const buildFilter = (query) => {
+  const filter = {};
+  if (query.connectionId) filter.connectionId = String(query.connectionId);
+  if (query.status) filter.status = String(query.status);
+  if (query.kind) filter.kind = String(query.kind);
+  return filter;
+};
+
+// Stores the outcome of one replay attempt on the failed message
+const recordReplay = async (message, outcome) => {
+  const now = new Date();
+  const update = outcome.ok
+    ? { $set: { status: 'replayed', replayedAt: now, lastAttemptAt: now }, $inc: { attempts: 1 } }
+    : {
+      $set: {
+        errorType: outcome.type,
+        errorName: outcome.reason,
+        errorMessage: outcome.message || null,
+        issues: outcome.issues || [],
+        lastAttemptAt: now
+      },
+      $inc: { attempts: 1 }
+    };
+
+  await FailedMessage.updateOne({ _id: message._id }, update);
+  return { id: message._id.toString(), ...outcome };
+};
+
+// Replays failed messages. Bulk-import rows are published together so they
+// share SendMessageBatch calls; updates and write-backs go one by one.
+const replayMessages = async (messages) => {
+  const results = [];
+  const bulkMessages = messages.filter((m) => m.kind === 'bulk_import');
+  const updateMessages = messages.filter((m) => m.kind === 'update');
+  const writeBackMessages = messages.filter((m) => m.kind === 'write_back');
+
+  if (bulkMessages.length) {
+    const payloads = bulkMessages.map((m) => m.payload);
+    const byPayload = new Map(payloads.map((payload, i) => [payload, bulkMessages[i]]));
+    const { accepted, rejected } = await publishBulkImportRows(payloads);
+
+    for (const { row, messageId } of accepted) {
+      results.push(await recordReplay(byPayload.get(row), { ok: true, messageId }));
+    }
+    for (const { row, ...failure } of rejected) {
+      results.push(await recordReplay(byPayload.get(row), { ok: false, ...failure }));
+    }
+  }
+
+  for (const message of updateMessages) {
+    results.push(await recordReplay(message, await publishUpdate(message.payload)));
+  }
+
+  for (const message of writeBackMessages) {
+    results.push(await recordReplay(message, await publishWriteBack(message.payload)));
+  }
+
+  return results;
+};
+
+const findMessage = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid failed message id' });
+    return null;
+  }
+
+  const message = await FailedMessage.findById(req.params.id);
+  if (!message) {
+    res.status(404).json({ message: 'Failed message not found' });
+    return null;
+  }
+
+  return message;
+};
+
+const isPayload = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+router.get('/', async (req, res) => {
+  const filter = buildFilter(req.query);
+  const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  const [messages, total] = await Promise.all([
+    FailedMessage.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit),
+    FailedMessage.countDocuments(filter)
+  ]);
+
+  res.json({ total, offset, limit, messages: messages.map(toFailedMessage) });
+});
+
+router.get('/:id', async (req, res) => {
+  const message = await findMessage(req, res);
+  if (!message) return;
+
+  res.json({ message: toFailedMessage(message) });
+});
+
+// Replaces the stored payload, e.g. to fix a row that failed validation
+router.patch('/:id', async (req, res) => {
+  const message = await findMessage(req, res);
+  if (!message) return;
+
+  if (!isPayload(req.body?.payload)) {
+    return res.status(400).json({ message: 'payload must be an object' });
+  }
+
+  message.payload = req.body.payload;
+  await message.save();
+  res.json({ message: toFailedMessage(message) });
+});
+
+// Replays one message. An optional { payload } fixes it before the replay.
+// A message that was already replayed is only sent again with ?force=true.
+router.post('/:id/replay', async (req, res) => {
+  const message = await findMessage(req, res);
+  if (!message) return;
+
+  if (message.status === 'replayed' && req.query.force !== 'true') {
+    return res.status(409).json({ message: 'Message was already replayed; use ?force=true to send it again' });
+  }
+
+  if (req.body?.payload !== undefined) {
+    if (!isPayload(req.body.payload)) {
+      return res.status(400).json({ message: 'payload must be an object' });
+    }
+    message.payload = req.body.payload;
+    await message.save();
+  }
+
+  const [result] = await replayMessages([message]);
+  res.status(result.ok ? 200 : 422).json(result);
+});
+
+// Replays pending messages in bulk, selected by { ids } or by the same
+// connectionId/kind filters as the list endpoint.
+router.post('/replay', async (req, res) => {
+  const { ids, connectionId, kind } = req.body || {};
+  const filter = { status: 'pending', ...buildFilter({ connectionId, kind }) };
+
+  if (Array.isArray(ids)) {
+    if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'ids must be failed message ids' });
+    }
+    filter._id = { $in: ids };
+  } else if (!connectionId) {
+    return res.status(400).json({ message: 'Provide ids or connectionId' });
+  }
+
+  const messages = await FailedMessage.find(filter).sort({ createdAt: 1 }).limit(MAX_PAGE_SIZE);
+  const results = await replayMessages(messages);
+  const replayed = results.filter((r) => r.ok).length;
+
+  res.json({ attempted: results.length, replayed, failed: results.length - replayed, results });
+});
+
+router.delete('/:id', async (req, res) => {
+  const message = await findMessage(req, res);
+  if (!message) return;
+
+  await FailedMessage.deleteOne({ _id: message._id });
+  res.json({ id: message._id.toString(), deleted: true });
+});
+
+// Purges messages matching ?connectionId=&status=&kind=. At least one
+// filter is required so a bare DELETE cannot wipe the collection.
+router.delete('/', async (req, res) => {
+  const filter = buildFilter(req.query);
+  if (!Object.keys(filter).length) {
+    return res.status(400).json({ message: 'Provide connectionId, status or kind to purge' });
+  }
+
+  const { deletedCount } = await FailedMessage.deleteMany(filter);
+  res.json({ deleted: deletedCount });
+});
+
+module.exports = router;
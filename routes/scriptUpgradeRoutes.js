@@ -0,0 +1,133 @@
+const express = require('express');
+const crypto = require('crypto');
+const GoogleCredential = require('../models/GoogleCredential');
+const Job = require('../models/Job');
+const { enqueueJob } = require('../utils/jobRunner');
+const { SCRIPT_TEMPLATE_VERSION } = require('../utils/appsScript');
+const { scriptUpgradeRequestSchema } = require('../utils/validator');
+const router = express.Router();
+
+// Fleet-wide Apps Script upgrades. Each connection is upgraded by its own
+// upgrade_script job (see jobs/upgradeScript.js); the jobs of one request
+// share a batchId that the report endpoint groups them by.
+
+// Attempts per connection before the batch reports it as failed
+const UPGRADE_MAX_ATTEMPTS = 3;
+
+const PENDING = { $in: ['queued', 'running'] };
+
+const toUpgradeEntry = (job) => ({
+  connectionId: job.connectionId.toString(),
+  jobId: job._id.toString(),
+  status: job.status,
+  attempts: job.attempts,
+  completedSteps: Object.keys(job.checkpoints || {}),
+  fromTemplateVersion: job.params.fromTemplateVersion || null,
+  result: job.result,
+  error: job.error,
+  finishedAt: job.finishedAt || null
+});
+
+// Connections per deployed template version
+router.get('/', async (req, res) => {
+  const versions = await GoogleCredential.aggregate([
+    { $match: { appsScriptId: { $ne: null }, deploymentId: { $ne: null } } },
+    { $group: { _id: '$scriptTemplateVersion', connections: { $sum: 1 } } },
+    { $sort: { connections: -1 } }
+  ]);
+
+  const outdated = versions
+    .filter((v) => v._id !== SCRIPT_TEMPLATE_VERSION)
+    .reduce((sum, v) => sum + v.connections, 0);
+
+  res.json({
+    templateVersion: SCRIPT_TEMPLATE_VERSION,
+    outdated,
+    versions: versions.map((v) => ({
+      templateVersion: v._id || null,
+      connections: v.connections,
+      current: v._id === SCRIPT_TEMPLATE_VERSION
+    }))
+  });
+});
+
+// Queues an upgrade for every deployed connection not yet on the current
+// template. Body: { connectionIds?, force? }. Connections that cannot be
+// upgraded right now are listed in skipped with the reason.
+router.post('/', async (req, res) => {
+  const parsed = scriptUpgradeRequestSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ message: parsed.error.issues[0]?.message || 'Validation failed' });
+  }
+  const { connectionIds, force } = parsed.data;
+
+  const filter = connectionIds ? { _id: { $in: connectionIds } } : { appsScriptId: { $ne: null }, deploymentId: { $ne: null } };
+  const connections = await GoogleCredential.find(filter)
+    .select('_id appsScriptId deploymentId scriptTemplateVersion')
+    .lean();
+
+  const ids = connections.map((c) => c._id);
+  const [provisioning, upgrading] = await Promise.all([
+    Job.distinct('connectionId', { connectionId: { $in: ids }, type: 'provision', status: PENDING }),
+    Job.distinct('connectionId', { connectionId: { $in: ids }, type: 'upgrade_script', status: PENDING })
+  ]);
+  const provisioningIds = new Set(provisioning.map(String));
+  const upgradingIds = new Set(upgrading.map(String));
+
+  const skipped = [];
+  if (connectionIds) {
+    const found = new Set(ids.map(String));
+    connectionIds.filter((id) => !found.has(id)).forEach((id) => skipped.push({ connectionId: id, reason: 'Connection not found' }));
+  }
+
+  const batchId = crypto.randomUUID();
+  const queued = [];
+  for (const connection of connections) {
+    const connectionId = connection._id.toString();
+    let reason = null;
+    if (!connection.appsScriptId || !connection.deploymentId) reason = 'No deployed script';
+    else if (provisioningIds.has(connectionId)) reason = 'Provisioning in progress';
+    else if (upgradingIds.has(connectionId)) reason = 'Upgrade already queued';
+    else if (!force && connection.scriptTemplateVersion === SCRIPT_TEMPLATE_VERSION) reason = 'Already on the current template';
+
+    if (reason) {
+      skipped.push({ connectionId, reason });
+      continue;
+    }
+
+    const job = await enqueueJob({
+      type: 'upgrade_script',
+      connectionId: connection._id,
+      params: { batchId, fromTemplateVersion: connection.scriptTemplateVersion || null },
+      maxAttempts: UPGRADE_MAX_ATTEMPTS
+    });
+    queued.push({ connectionId, jobId: job._id.toString() });
+  }
+
+  console.log(`[UPGRADE] Batch ${batchId}: ${queued.length} queued, ${skipped.length} skipped`);
+  res.status(queued.length ? 202 : 200).json({
+    batchId: queued.length ? batchId : null,
+    templateVersion: SCRIPT_TEMPLATE_VERSION,
+    queued,
+    skipped
+  });
+});
+
+// Per-connection outcome of one upgrade batch
+router.get('/:batchId', async (req, res) => {
+  const jobs = await Job.find({ type: 'upgrade_script', 'params.batchId': String(req.params.batchId) }).sort({ createdAt: 1 });
+  if (!jobs.length) return res.status(404).json({ message: 'Upgrade batch not found' });
+
+  const summary = { queued: 0, running: 0, completed: 0, failed: 0 };
+  jobs.forEach((job) => { summary[job.status] += 1; });
+
+  res.json({
+    batchId: req.params.batchId,
+    templateVersion: SCRIPT_TEMPLATE_VERSION,
+    finished: summary.queued + summary.running === 0,
+    summary,
+    connections: jobs.map(toUpgradeEntry)
+  });
+});
+
+module.exports = router;
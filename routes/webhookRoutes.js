@@ -0,0 +1,47 @@
+const express = require('express');
+const GoogleCredential = require('../models/GoogleCredential');
+const { verifyChannelToken, scheduleDriveSync } = require('../utils/driveWatch');
+const router = express.Router();
+
+// Drive resource states that mean the file's content may have changed.
+// "sync" only confirms a new channel; trash/remove are logged and ignored.
+const CHANGE_STATES = new Set(['update', 'change']);
+
+// Drive push notifications for drive_watch connections, see
+// utils/driveWatch.js. The request has no body; everything is in the
+// X-Goog-* headers. Any 2xx acknowledges the notification.
+router.post('/google/drive', async (req, res) => {
+  const channelId = req.get('X-Goog-Channel-ID');
+  const state = req.get('X-Goog-Resource-State');
+  if (!channelId || !state) {
+    return res.status(400).json({ message: 'Not a Drive notification' });
+  }
+
+  const connection = await GoogleCredential.findOne({ 'driveWatch.channelId': channelId });
+  if (!connection) {
+    console.warn(`[DRIVE_WATCH] Notification for unknown channel ${channelId}`);
+    return res.status(404).end();
+  }
+
+  const { driveWatch } = connection;
+  if (!verifyChannelToken(driveWatch, req.get('X-Goog-Channel-Token')) || req.get('X-Goog-Resource-ID') !== driveWatch.resourceId) {
+    console.warn(`[DRIVE_WATCH] Rejected notification with a bad token for channel ${channelId}`);
+    return res.status(403).end();
+  }
+
+  await GoogleCredential.updateOne({ _id: connection._id }, { $set: { 'driveWatch.lastNotificationAt': new Date() } });
+
+  // X-Goog-Changed lists what changed on update, e.g. "content,properties"
+  const changed = req.get('X-Goog-Changed');
+  if (!CHANGE_STATES.has(state) || (changed && !changed.split(',').includes('content'))) {
+    if (state !== 'sync') console.log(`[DRIVE_WATCH] Ignoring "${state}" notification for connection ${connection._id}`);
+    return res.status(200).end();
+  }
+
+  if (connection.changeSource === 'drive_watch') {
+    await scheduleDriveSync(connection._id);
+  }
+  res.status(200).end();
+});
+
+module.exports = router;
@@ -33,6 +33,7 @@ function onOpen() {
       props.deleteProperty('PENDING_ACTIVATION');
       
       Logger.log('Activation on sheet open successful!');
+      reportSyncState('activated');
       
       // Show success message to user
       SpreadsheetApp.getUi().alert(
@@ -50,9 +51,11 @@ function onOpen() {
   // Show appropriate menu based on current state
   if (props.getProperty('SYNC_ACTIVATED') === 'true') {
     // Already activated - show status menu
+    const problems = loadRejectedRows(props).length;
     SpreadsheetApp.getUi()
       .createMenu('Sheet Sync')
       .addItem('Sync Status: Active ✓', 'showSyncStatus')
+      .addItem(problems ? 'Sync Problems (' + problems + ')' : 'Sync Problems', 'showSyncProblems')
       .addItem('Deactivate Sync', 'deactivateSync')
       .addToUi();
   } else {
@@ -127,6 +130,9 @@ function doPost(e) {
       }
     }
     
+    ensureHeartbeatTrigger();
+    reportSyncState('configured');
+    
     return ContentService
       .createTextOutput(JSON.stringify(response))
       .setMimeType(ContentService.MimeType.JSON);
@@ -192,6 +198,8 @@ function delayedActivation() {
     props.deleteProperty('PENDING_ACTIVATION');
     
     Logger.log('Delayed activation successful!');
+    ensureHeartbeatTrigger();
+    reportSyncState('activated');
     
     // Clean up this one-time trigger
     const currentTriggers = ScriptApp.getProjectTriggers();
@@ -266,6 +274,8 @@ function activateSync() {
     props.setProperty('ACTIVATION_TIMESTAMP', new Date().toISOString());
     
     Logger.log('Successfully created new onEdit trigger via manual activation');
+    ensureHeartbeatTrigger();
+    reportSyncState('activated');
 
     SpreadsheetApp.getUi().alert('Success!', 'Sheet Sync is now active. Any edits you make will be synced automatically.', SpreadsheetApp.getUi().ButtonSet.OK);
 
@@ -319,6 +329,7 @@ function deactivateSync() {
       const props = PropertiesService.getScriptProperties();
       props.deleteProperty('SYNC_ACTIVATED');
       props.deleteProperty('ACTIVATION_TIMESTAMP');
+      reportSyncState('deactivated');
       
       ui.alert('Deactivated', 'Sheet Sync has been deactivated.', ui.ButtonSet.OK);
       
@@ -332,70 +343,690 @@ function deactivateSync() {
 }
 
 /**
- * Main sync function - runs on every edit
+ * Tells the backend whether the edit trigger is installed. Events:
+ * configured, activated, deactivated and heartbeat (hourly). Failures are
+ * only logged; the backend flags connections that stop reporting.
  */
-function onSheetEdit(e) {
+function reportSyncState(event) {
   try {
-    if (!e || !e.range) {
-      return;
-    }
-    
     const props = PropertiesService.getScriptProperties();
     const secret = props.getProperty('API_SECRET_TOKEN');
     const apiUrl = props.getProperty('API_BASE_URL');
     const userId = props.getProperty('PLATFORM_USER_ID');
     const connectionId = props.getProperty('CONNECTION_ID');
-    
     if (!secret || !apiUrl || !userId || !connectionId) {
-      Logger.log('Configuration missing. Cannot sync edit.');
       return;
     }
     
-    const range = e.range;
-    const sheet = range.getSheet();
-    const row = range.getRow();
+    const triggerActive = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === 'onSheetEdit');
     
-    // Skip header row edits
-    if (row <= 1) {
-      return;
+    const response = UrlFetchApp.fetch(apiUrl + '/api/heartbeat', {
+      method: 'POST',
+      contentType: 'application/json',
+      headers: {
+        'Authorization': 'Bearer ' + secret
+      },
+      payload: JSON.stringify({
+        connectionId: connectionId,
+        userId: userId,
+        event: event,
+        triggerActive: triggerActive,
+        pendingActivation: props.getProperty('PENDING_ACTIVATION') === 'true',
+        outboxPending: Object.keys(loadOutbox(props)).length,
+        rejectedRows: loadRejectedRows(props).length
+      }),
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      Logger.log('Heartbeat rejected: HTTP ' + response.getResponseCode());
+    }
+  } catch (error) {
+    Logger.log('Could not report sync state: ' + error.toString());
+  }
+}
+
+/**
+ * Runs hourly via time-based trigger
+ */
+function sendHeartbeat() {
+  reportSyncState('heartbeat');
+}
+
+/**
+ * Installs the hourly heartbeat trigger once
+ */
+function ensureHeartbeatTrigger() {
+  const props = PropertiesService.getScriptProperties();
+  if (props.getProperty('HEARTBEAT_TRIGGER') === 'true') {
+    return;
+  }
+  
+  try {
+    const exists = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === 'sendHeartbeat');
+    if (!exists) {
+      ScriptApp.newTrigger('sendHeartbeat')
+        .timeBased()
+        .everyHours(1)
+        .create();
+    }
+    props.setProperty('HEARTBEAT_TRIGGER', 'true');
+  } catch (error) {
+    Logger.log('Could not install heartbeat trigger: ' + error.toString());
+  }
+}
+
+/**
+ * Tabs registered on the connection, cached for 5 minutes. Returns null when
+ * the backend cannot be reached, in which case every edit is sent and the
+ * backend ignores the ones outside registered tabs.
+ */
+function getSyncConfig(apiUrl, secret, connectionId, userId) {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get('SYNC_CONFIG');
+  if (cached) {
+    return JSON.parse(cached);
+  }
+  
+  try {
+    const response = UrlFetchApp.fetch(
+      apiUrl + '/api/sync-config?connectionId=' + encodeURIComponent(connectionId) + '&userId=' + encodeURIComponent(userId),
+      {
+        method: 'GET',
+        headers: { 'Authorization': 'Bearer ' + secret },
+        muteHttpExceptions: true
+      }
+    );
+    if (response.getResponseCode() !== 200) {
+      Logger.log('Could not load sync config: HTTP ' + response.getResponseCode());
+      return null;
     }
     
-    // Get headers and row data
-    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const rowData = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const config = JSON.parse(response.getContentText());
+    cache.put('SYNC_CONFIG', JSON.stringify(config), 300);
+    return config;
+  } catch (error) {
+    Logger.log('Could not load sync config: ' + error.toString());
+    return null;
+  }
+}
+
+/**
+ * The part of an edited block that lies within the tab's data rows and
+ * columns, or null when they do not overlap
+ */
+function clipToTab(tab, top, bottom, left, right) {
+  const block = {
+    top: Math.max(top, tab.headerRow + 1),
+    bottom: tab.lastRow ? Math.min(bottom, tab.lastRow) : bottom,
+    left: Math.max(left, tab.firstColumn),
+    right: tab.lastColumn ? Math.min(right, tab.lastColumn) : right
+  };
+  return block.top <= block.bottom && block.left <= block.right ? block : null;
+}
+
+/**
+ * Finds the registered tabs that overlap the edited block, each with the
+ * part of the block inside it
+ */
+function findSyncTabs(config, sheetName, top, bottom, left, right) {
+  const matches = [];
+  ((config && config.tabs) || []).forEach(tab => {
+    if (tab.sheetName !== sheetName) return;
+    const block = clipToTab(tab, top, bottom, left, right);
+    if (block) {
+      matches.push({ tab: tab, block: block });
+    }
+  });
+  return matches;
+}
+
+/**
+ * Header form used to compare headers, the same as the backend's
+ * normalizeHeader: trimmed, inner whitespace collapsed, lower case
+ */
+function normalizeHeader(header) {
+  return header.toString().trim().replace(/\\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Reads every row of an edited block in one call and builds its update rows
+ */
+function buildEditRows(sheet, tab, block, writeBackHeaders) {
+  const lastColumn = tab.lastColumn || sheet.getLastColumn();
+  const width = lastColumn - tab.firstColumn + 1;
+  // Whole-column edits reach the bottom of the grid; stop at the last row with data
+  const bottom = Math.min(block.bottom, sheet.getLastRow());
+  if (width < 1 || bottom < block.top) {
+    return [];
+  }
+  
+  const headers = sheet.getRange(tab.headerRow, tab.firstColumn, 1, width).getValues()[0];
+  
+  // Columns the platform writes back into are not user input; skip the
+  // block when it only touches those
+  let userColumnEdited = block.right > lastColumn;
+  for (let column = block.left; !userColumnEdited && column <= block.right; column++) {
+    const header = headers[column - tab.firstColumn];
+    userColumnEdited = !header || writeBackHeaders.indexOf(normalizeHeader(header)) === -1;
+  }
+  if (!userColumnEdited) {
+    return [];
+  }
+  
+  const values = sheet.getRange(block.top, tab.firstColumn, bottom - block.top + 1, width).getValues();
+  
+  // Keep the hidden row id column (added by the backend when the connection
+  // keys rows by id) filled in for rows created after the import. A pasted
+  // copy of a row carries the id of its original, so an edited row whose id
+  // is already used elsewhere in the tab, or earlier in the block, gets a
+  // new one.
+  const rowIdColumn = headers.indexOf('_sync_row_id');
+  if (rowIdColumn !== -1) {
+    const idColumn = tab.firstColumn + rowIdColumn;
+    const firstDataRow = tab.headerRow + 1;
+    const lastRow = sheet.getLastRow();
+    const taken = {};
+    if (lastRow >= firstDataRow) {
+      sheet.getRange(firstDataRow, idColumn, lastRow - firstDataRow + 1, 1).getValues().forEach((cell, i) => {
+        const rowIndex = firstDataRow + i;
+        if (cell[0] && (rowIndex < block.top || rowIndex > bottom)) {
+          taken[cell[0]] = true;
+        }
+      });
+    }
     
+    let changed = false;
+    const ids = values.map(rowData => {
+      if (!rowData[rowIdColumn] || taken[rowData[rowIdColumn]]) {
+        rowData[rowIdColumn] = Utilities.getUuid();
+        changed = true;
+      }
+      taken[rowData[rowIdColumn]] = true;
+      return [rowData[rowIdColumn]];
+    });
+    if (changed) {
+      sheet.getRange(block.top, idColumn, ids.length, 1).setValues(ids);
+    }
+  }
+  
+  return values.map((rowData, i) => {
     const input_data = {};
-    headers.forEach((header, i) => {
-      const key = header ? header.toString().trim() : 'column_' + i;
+    headers.forEach((header, j) => {
+      const key = header ? header.toString().trim() : 'column_' + j;
       if (key) {
-        input_data[key] = rowData[i] !== undefined ? rowData[i] : null;
+        input_data[key] = rowData[j] !== undefined ? rowData[j] : null;
       }
     });
     
     const projectIdentifier = input_data["Project"] || "Unnamed Project";
     
-    const updateData = {
-      connectionId: connectionId,
-      userId: userId,
-      spreadsheet_id: SpreadsheetApp.getActiveSpreadsheet().getId(),
+    return {
       sheet_range: sheet.getName(),
-      row_index: row,
+      sheet_name: sheet.getName(),
+      row_index: block.top + i,
+      column_index: block.left,
       project_identifier: projectIdentifier.toString(),
-      sync_timestamp: new Date().toISOString(),
       input_data: input_data
     };
-    
-    const options = {
+  });
+}
+
+// Rows per /api/bulk-update request, the backend's MAX_BULK_UPDATE_ROWS
+const EDIT_ROWS_PER_REQUEST = 500;
+
+// Rows that could not be delivered wait in script properties, one property
+// per sheet row (a newer edit of the row replaces the pending one), and are
+// retried with backoff by the flushOutbox trigger. Script properties hold
+// 9KB per value and 500KB in total, so the outbox is bounded.
+const OUTBOX_PREFIX = 'OUTBOX_';
+const OUTBOX_MAX_ROWS = 100;
+const OUTBOX_MAX_BYTES = 200000;
+const OUTBOX_MAX_ENTRY_BYTES = 9000;
+const OUTBOX_MAX_ATTEMPTS = 10;
+const OUTBOX_BASE_DELAY_MS = 60 * 1000;
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+const REJECTED_MAX_ROWS = 20;
+
+function outboxKey(row) {
+  return OUTBOX_PREFIX + row.sheet_name + '!' + row.row_index;
+}
+
+function loadOutbox(props) {
+  const all = props.getProperties();
+  const outbox = {};
+  Object.keys(all).forEach(key => {
+    if (key.indexOf(OUTBOX_PREFIX) !== 0) return;
+    try {
+      outbox[key] = JSON.parse(all[key]);
+    } catch (error) {
+      props.deleteProperty(key);
+    }
+  });
+  return outbox;
+}
+
+function removeOutboxEntry(props, outbox, key) {
+  if (outbox[key]) {
+    props.deleteProperty(key);
+    delete outbox[key];
+  }
+}
+
+function loadRejectedRows(props) {
+  try {
+    return JSON.parse(props.getProperty('SYNC_REJECTED') || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Remembers a row the backend will not accept, for showSyncProblems
+ */
+function recordRejectedRow(props, row, message) {
+  const rejected = loadRejectedRows(props);
+  rejected.unshift({
+    sheet: row.sheet_name,
+    row: row.row_index,
+    project: row.project_identifier,
+    message: String(message).slice(0, 200),
+    at: new Date().toISOString()
+  });
+  props.setProperty('SYNC_REJECTED', JSON.stringify(rejected.slice(0, REJECTED_MAX_ROWS)));
+}
+
+/**
+ * Forgets earlier rejections of rows that have now been delivered
+ */
+function clearRejectedRows(props, rows) {
+  const rejected = loadRejectedRows(props);
+  if (!rejected.length || !rows.length) return;
+  
+  const delivered = {};
+  rows.forEach(row => {
+    delivered[row.sheet_name + '!' + row.row_index] = true;
+  });
+  const remaining = rejected.filter(item => !delivered[item.sheet + '!' + item.row]);
+  if (remaining.length !== rejected.length) {
+    props.setProperty('SYNC_REJECTED', JSON.stringify(remaining));
+  }
+}
+
+// Rate limiting, outages and credential problems can clear up on their own;
+// any other 4xx means the rows themselves are wrong
+function isRetryableStatus(code) {
+  return code === 401 || code === 403 || code === 408 || code === 429 || code >= 500;
+}
+
+/**
+ * Posts rows to /api/bulk-update and sorts them by outcome:
+ * { delivered, rejected: [{ row, message }], retry, error }
+ */
+function deliverRows(apiUrl, secret, shared, rows) {
+  const outcome = { delivered: [], rejected: [], retry: [], error: null };
+  
+  let response;
+  try {
+    response = UrlFetchApp.fetch(apiUrl + '/api/bulk-update', {
       method: 'POST',
       contentType: 'application/json',
       headers: {
         'Authorization': 'Bearer ' + secret
       },
-      payload: JSON.stringify(updateData),
+      payload: JSON.stringify(Object.assign({}, shared, { rows: rows })),
       muteHttpExceptions: true
+    });
+  } catch (error) {
+    outcome.retry = rows;
+    outcome.error = error.toString();
+    return outcome;
+  }
+  
+  const code = response.getResponseCode();
+  let body = {};
+  try {
+    body = JSON.parse(response.getContentText());
+  } catch (error) {
+    body = {};
+  }
+  
+  // Per-row results: rows listed in rejected failed validation, the rest
+  // were queued (or ignored as outside the synced tabs)
+  if (code === 200 || code === 202 || (code === 400 && Array.isArray(body.rejected))) {
+    const messages = {};
+    (body.rejected || []).forEach(item => {
+      messages[item.index] = item.message;
+    });
+    rows.forEach((row, i) => {
+      if (messages.hasOwnProperty(i)) {
+        outcome.rejected.push({ row: row, message: messages[i] });
+      } else {
+        outcome.delivered.push(row);
+      }
+    });
+    return outcome;
+  }
+  
+  const error = 'HTTP ' + code + (body.message ? ': ' + body.message : '');
+  if (isRetryableStatus(code)) {
+    outcome.retry = rows;
+    outcome.error = error;
+  } else {
+    outcome.rejected = rows.map(row => ({ row: row, message: error }));
+  }
+  return outcome;
+}
+
+/**
+ * Applies a delivery outcome to the outbox. fromOutbox counts the attempt
+ * against the pending entry; a fresh edit starts over at one attempt.
+ */
+function settleDelivery(props, outbox, outcome, fromOutbox) {
+  const now = Date.now();
+  
+  outcome.delivered.forEach(row => removeOutboxEntry(props, outbox, outboxKey(row)));
+  clearRejectedRows(props, outcome.delivered);
+  
+  outcome.rejected.forEach(item => {
+    removeOutboxEntry(props, outbox, outboxKey(item.row));
+    recordRejectedRow(props, item.row, item.message);
+  });
+  
+  outcome.retry.forEach(row => {
+    const key = outboxKey(row);
+    const previous = fromOutbox ? outbox[key] : null;
+    const attempts = previous ? previous.attempts + 1 : 1;
+    if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+      removeOutboxEntry(props, outbox, key);
+      recordRejectedRow(props, row, 'Gave up after ' + attempts + ' attempts: ' + outcome.error);
+      return;
+    }
+    
+    const entry = {
+      row: row,
+      attempts: attempts,
+      queuedAt: previous ? previous.queuedAt : now,
+      nextAttemptAt: now + Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, attempts - 1), OUTBOX_MAX_DELAY_MS),
+      lastError: outcome.error
     };
+    const value = JSON.stringify(entry);
+    if (value.length > OUTBOX_MAX_ENTRY_BYTES) {
+      removeOutboxEntry(props, outbox, key);
+      recordRejectedRow(props, row, 'Row too large to retry: ' + outcome.error);
+      return;
+    }
+    props.setProperty(key, value);
+    outbox[key] = entry;
+  });
+  
+  trimOutbox(props, outbox);
+}
+
+/**
+ * Drops the oldest pending rows once the outbox is over its bounds
+ */
+function trimOutbox(props, outbox) {
+  const keys = Object.keys(outbox).sort((a, b) => outbox[a].queuedAt - outbox[b].queuedAt);
+  let bytes = keys.reduce((sum, key) => sum + JSON.stringify(outbox[key]).length, 0);
+  while (keys.length && (keys.length > OUTBOX_MAX_ROWS || bytes > OUTBOX_MAX_BYTES)) {
+    const key = keys.shift();
+    bytes -= JSON.stringify(outbox[key]).length;
+    recordRejectedRow(props, outbox[key].row, 'Dropped: too many edits waiting to be retried');
+    removeOutboxEntry(props, outbox, key);
+  }
+}
+
+/**
+ * Keeps the flushOutbox trigger installed exactly while rows are pending
+ */
+function updateOutboxTrigger(outbox) {
+  const pending = Object.keys(outbox).length > 0;
+  const triggers = ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === 'flushOutbox');
+  if (pending && !triggers.length) {
+    ScriptApp.newTrigger('flushOutbox')
+      .timeBased()
+      .everyMinutes(5)
+      .create();
+  } else if (!pending) {
+    triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  }
+}
+
+/**
+ * Sends edited rows to the backend, batching large pastes. Rows that fail
+ * go to the outbox; the script lock keeps a retry from overwriting a newer
+ * edit of the same row.
+ */
+function sendEditRows(apiUrl, secret, shared, rows) {
+  const props = PropertiesService.getScriptProperties();
+  const lock = LockService.getScriptLock();
+  const locked = lock.tryLock(30000);
+  if (!locked) {
+    Logger.log('Outbox is busy; sending edit before taking the outbox lock');
+  }
+  
+  let unlockedRetry = [];
+  let lastError = null;
+  try {
+    const outbox = locked ? loadOutbox(props) : null;
+    let queued = false;
+    for (let i = 0; i < rows.length; i += EDIT_ROWS_PER_REQUEST) {
+      const outcome = deliverRows(apiUrl, secret, shared, rows.slice(i, i + EDIT_ROWS_PER_REQUEST));
+      if (outcome.error) {
+        Logger.log('Edit delivery failed: ' + outcome.error);
+      }
+      if (outbox) {
+        settleDelivery(props, outbox, outcome, false);
+        queued = queued || outcome.retry.length > 0;
+      } else {
+        // An older pending copy of a row that just went through must not be
+        // retried over it
+        outcome.delivered.concat(outcome.rejected.map(item => item.row))
+          .forEach(row => props.deleteProperty(outboxKey(row)));
+        unlockedRetry = unlockedRetry.concat(outcome.retry);
+        lastError = outcome.error || lastError;
+      }
+    }
+    if (queued) {
+      updateOutboxTrigger(outbox);
+    }
+  } finally {
+    if (locked) {
+      lock.releaseLock();
+    }
+  }
+  
+  if (unlockedRetry.length) {
+    keepUnlockedRetries(props, lock, unlockedRetry, lastError);
+  }
+}
+
+/**
+ * Puts rows that failed while the outbox was busy into the outbox once the
+ * lock frees up. If it stays busy, each row is written to its own outbox
+ * key; the next locked delivery or flush applies the outbox bounds.
+ */
+function keepUnlockedRetries(props, lock, rows, error) {
+  if (lock.tryLock(60000)) {
+    try {
+      const outbox = loadOutbox(props);
+      settleDelivery(props, outbox, { delivered: [], rejected: [], retry: rows, error: error }, false);
+      updateOutboxTrigger(outbox);
+    } finally {
+      lock.releaseLock();
+    }
+    return;
+  }
+  
+  const now = Date.now();
+  const pending = {};
+  rows.forEach(row => {
+    const entry = {
+      row: row,
+      attempts: 1,
+      queuedAt: now,
+      nextAttemptAt: now + OUTBOX_BASE_DELAY_MS,
+      lastError: error
+    };
+    const value = JSON.stringify(entry);
+    if (value.length > OUTBOX_MAX_ENTRY_BYTES) {
+      Logger.log('Row ' + row.row_index + ' of ' + row.sheet_name + ' is too large to retry: ' + error);
+      return;
+    }
+    props.setProperty(outboxKey(row), value);
+    pending[outboxKey(row)] = entry;
+  });
+  // An empty map would remove the trigger other pending rows still need
+  if (Object.keys(pending).length) {
+    updateOutboxTrigger(pending);
+  }
+}
+
+/**
+ * Retries the pending rows that are due - runs every 5 minutes while the
+ * outbox is not empty
+ */
+function flushOutbox() {
+  const props = PropertiesService.getScriptProperties();
+  const secret = props.getProperty('API_SECRET_TOKEN');
+  const apiUrl = props.getProperty('API_BASE_URL');
+  const userId = props.getProperty('PLATFORM_USER_ID');
+  const connectionId = props.getProperty('CONNECTION_ID');
+  if (!secret || !apiUrl || !userId || !connectionId) {
+    return;
+  }
+  
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return;
+  }
+  
+  try {
+    const outbox = loadOutbox(props);
+    const now = Date.now();
+    const due = Object.keys(outbox)
+      .filter(key => outbox[key].nextAttemptAt <= now)
+      .map(key => outbox[key].row);
+    const shared = {
+      connectionId: connectionId,
+      userId: userId,
+      spreadsheet_id: SpreadsheetApp.getActiveSpreadsheet().getId()
+    };
+    
+    for (let i = 0; i < due.length; i += EDIT_ROWS_PER_REQUEST) {
+      settleDelivery(props, outbox, deliverRows(apiUrl, secret, shared, due.slice(i, i + EDIT_ROWS_PER_REQUEST)), true);
+    }
+    Logger.log('Outbox flushed: ' + due.length + ' row(s) retried, ' + Object.keys(outbox).length + ' pending');
+    updateOutboxTrigger(outbox);
+  } catch (error) {
+    Logger.log('Error in flushOutbox: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Lists rows waiting for a retry and rows the backend rejected
+ */
+function showSyncProblems() {
+  const ui = SpreadsheetApp.getUi();
+  const props = PropertiesService.getScriptProperties();
+  const pending = Object.keys(loadOutbox(props)).length;
+  const rejected = loadRejectedRows(props);
+  
+  if (!pending && !rejected.length) {
+    ui.alert('Sync Problems', 'All edits have been synced.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  let message = pending
+    ? pending + ' edited row(s) could not be sent yet and will be retried automatically.\\n\\n'
+    : '';
+  if (!rejected.length) {
+    ui.alert('Sync Problems', message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  message += 'These rows were rejected. Fix them in the sheet and they will be sent again:\\n' +
+    rejected.map(item =>
+      item.sheet + ' row ' + item.row + (item.project ? ' (' + item.project + ')' : '') + ': ' + item.message
+    ).join('\\n');
+  
+  const response = ui.alert('Sync Problems', message + '\\n\\nClear the list of rejected rows?', ui.ButtonSet.YES_NO);
+  if (response === ui.Button.YES) {
+    props.deleteProperty('SYNC_REJECTED');
+    onOpen();
+  }
+}
+
+/**
+ * Main sync function - runs on every edit. Pastes, fill-downs and sorts
+ * arrive as one event covering the whole edited block, so every row of
+ * e.range is sent, not just the first.
+ */
+function onSheetEdit(e) {
+  try {
+    if (!e || !e.range) {
+      return;
+    }
+    
+    const props = PropertiesService.getScriptProperties();
+    const secret = props.getProperty('API_SECRET_TOKEN');
+    const apiUrl = props.getProperty('API_BASE_URL');
+    const userId = props.getProperty('PLATFORM_USER_ID');
+    const connectionId = props.getProperty('CONNECTION_ID');
     
-    UrlFetchApp.fetch(apiUrl + '/api/update', options);
+    if (!secret || !apiUrl || !userId || !connectionId) {
+      Logger.log('Configuration missing. Cannot sync edit.');
+      return;
+    }
+    
+    // Scripts deployed before heartbeats existed install the trigger here
+    ensureHeartbeatTrigger();
+    
+    const range = e.range;
+    const sheet = range.getSheet();
+    const top = range.getRow();
+    const left = range.getColumn();
+    const bottom = top + range.getNumRows() - 1;
+    const right = left + range.getNumColumns() - 1;
+    
+    // Without a config (backend unreachable) fall back to the whole tab with
+    // headers on row 1; the backend ignores edits on unregistered tabs.
+    // Header row edits and edits outside the registered tabs are skipped.
+    const config = getSyncConfig(apiUrl, secret, connectionId, userId);
+    let matches;
+    if (config) {
+      matches = findSyncTabs(config, sheet.getName(), top, bottom, left, right);
+    } else {
+      const fallback = { headerRow: 1, firstColumn: 1, lastColumn: null, lastRow: null };
+      const block = clipToTab(fallback, top, bottom, left, right);
+      matches = block ? [{ tab: fallback, block: block }] : [];
+    }
+    
+    const writeBackHeaders = ((config && config.writeBackHeaders) || []).map(normalizeHeader);
+    let rows = [];
+    matches.forEach(match => {
+      rows = rows.concat(buildEditRows(sheet, match.tab, match.block, writeBackHeaders));
+    });
+    if (!rows.length) {
+      return;
+    }
+    
+    // Each row carries its own timestamp, since a retried row is sent
+    // later alongside others
+    const syncTimestamp = new Date().toISOString();
+    rows.forEach(row => {
+      row.sync_timestamp = syncTimestamp;
+    });
+    
+    sendEditRows(apiUrl, secret, {
+      connectionId: connectionId,
+      userId: userId,
+      spreadsheet_id: SpreadsheetApp.getActiveSpreadsheet().getId()
+    }, rows);
     
   } catch (error) {
     Logger.log('Error in onSheetEdit: ' + error.toString());
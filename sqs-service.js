@@ -1,67 +1,298 @@
-const { SQSClient, SendMessageCommand } = require("@aws-sdk/client-sqs");
-const { bulkImportRowSchema, updateSchema } = require("./utils/validator");
-
-const sqsClient = new SQSClient({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    }
-});
+const { getQueueTransport } = require("./transports");
+const { bulkImportRowSchema, updateSchema, writeBackMessageSchema } = require("./utils/validator");
+const { delay } = require("./utils/retry");
+const FailedMessage = require("./models/FailedMessage");
 
-const BULK_IMPORT_QUEUE_URL = process.env.BULK_IMPORT_QUEUE_URL;
-const UPDATE_QUEUE_URL = process.env.UPDATE_QUEUE_URL;
+// Logical queue names, mapped to real queues by the configured transport
+const BULK_IMPORT_QUEUE = "bulk_import";
+const UPDATE_QUEUE = "update";
+const WRITE_BACK_QUEUE = "write_back";
 
-async function sendBulkImportMessages(dataArray) {
-    if (!BULK_IMPORT_QUEUE_URL) throw new Error("BULK_IMPORT_QUEUE_URL not configured.");
-    console.log(`--- Preparing to send ${dataArray.length} rows to SQS ---`);
+// SQS limits for SendMessageBatch, applied to every transport
+const MAX_BATCH_ENTRIES = 10;
+const MAX_BATCH_BYTES = 256 * 1024;
+const SEND_CONCURRENCY = Number(process.env.SQS_SEND_CONCURRENCY) || 5;
+const MAX_SEND_ATTEMPTS = 3;
 
-    let successfullySentCount = 0;
-    for (const row of dataArray) {
-        try {
-            // FIXED: Use bulkImportRowSchema instead of bulkImportSchema
-            bulkImportRowSchema.parse(row);
+// Groups validated entries into batches that respect both SQS limits.
+function packBatches(entries) {
+    const batches = [];
+    let current = [];
+    let currentBytes = 0;
 
-            const params = {
-                QueueUrl: BULK_IMPORT_QUEUE_URL,
-                MessageBody: JSON.stringify(row),
-            };
+    for (const entry of entries) {
+        const bytes = Buffer.byteLength(entry.body);
+        if (current.length && (current.length === MAX_BATCH_ENTRIES || currentBytes + bytes > MAX_BATCH_BYTES)) {
+            batches.push(current);
+            current = [];
+            currentBytes = 0;
+        }
+        current.push(entry);
+        currentBytes += bytes;
+    }
+    if (current.length) batches.push(current);
+    return batches;
+}
 
-            await sqsClient.send(new SendMessageCommand(params));
-            successfullySentCount++;
+// Sends one batch, resending entries that failed on the queue side. Entries
+// rejected as sender faults are not retried. Returns { accepted, rejected }.
+async function sendBatch(queue, batch) {
+    const transport = getQueueTransport();
+    const accepted = [];
+    const rejected = [];
+    let pending = batch;
+
+    for (let attempt = 1; pending.length && attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+        const isLastAttempt = attempt === MAX_SEND_ATTEMPTS;
+        let response;
+        try {
+            response = await transport.sendMessageBatch(queue, pending.map(entry => ({ id: entry.id, body: entry.body })));
         } catch (error) {
-            console.error("Error processing row:", JSON.stringify(row, null, 2));
-            if (error.name === 'ZodError') {
-                console.error("Validation Error Details:", JSON.stringify(error.errors, null, 2));
+            console.error(`Queue batch send failed (attempt ${attempt}/${MAX_SEND_ATTEMPTS}):`, error.name, error.message);
+            if (isLastAttempt) {
+                pending.forEach(entry => rejected.push({ entry, type: transport.errorType, reason: error.name, message: error.message }));
+                pending = [];
             } else {
-                console.error("Error Details:", error.name, error.message);
+                await delay(500 * Math.pow(2, attempt - 1));
             }
+            continue;
         }
+
+        const byId = new Map(pending.map(entry => [entry.id, entry]));
+        response.successful.forEach(result => {
+            accepted.push({ entry: byId.get(result.id), messageId: result.messageId });
+        });
+
+        const retry = [];
+        response.failed.forEach(failure => {
+            const entry = byId.get(failure.id);
+            if (failure.senderFault || isLastAttempt) {
+                rejected.push({ entry, type: transport.errorType, reason: failure.code, message: failure.message });
+            } else {
+                retry.push(entry);
+            }
+        });
+
+        pending = retry;
+        if (pending.length) await delay(500 * Math.pow(2, attempt - 1));
     }
-    console.log(`Finished SQS send process. Successfully sent ${successfullySentCount}/${dataArray.length} messages.`);
+
+    return { accepted, rejected };
 }
 
-async function sendUpdateMessage(updatedData) {
-    if (!UPDATE_QUEUE_URL) throw new Error("UPDATE_QUEUE_URL not configured.");
+// Runs worker over items with at most `limit` in flight.
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index]);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+const describeRow = (row) => ({
+    sheet_name: row?.sheet_name,
+    row_index: row?.row_index,
+    project_identifier: row?.project_identifier,
+});
+
+// Validates rows against schema and publishes them to queue in
+// SendMessageBatch calls. Returns { accepted: [{ row, messageId }],
+// rejected: [{ row, type, reason, message?, issues? }] }.
+async function publishRows(queue, schema, dataArray) {
+    const accepted = [];
+    const rejected = [];
+    const entries = [];
+
+    dataArray.forEach((row, index) => {
+        const parsed = schema.safeParse(row);
+        if (!parsed.success) {
+            rejected.push({ row, type: 'validation', reason: 'ZodError', issues: parsed.error.issues });
+            return;
+        }
+        // Consumers get the coerced values (ISO dates, numeric amounts, ...)
+        const body = JSON.stringify(parsed.data);
+        if (Buffer.byteLength(body) > MAX_BATCH_BYTES) {
+            rejected.push({
+                row,
+                type: 'size',
+                reason: 'MessageTooLarge',
+                message: `Message exceeds the ${MAX_BATCH_BYTES} byte SQS limit`,
+            });
+            return;
+        }
+        entries.push({ id: String(index), row, body });
+    });
+
+    const batchResults = await mapWithConcurrency(
+        packBatches(entries),
+        SEND_CONCURRENCY,
+        batch => sendBatch(queue, batch)
+    );
+
+    batchResults.forEach(result => {
+        result.accepted.forEach(({ entry, messageId }) => accepted.push({ row: entry.row, messageId }));
+        result.rejected.forEach(({ entry, type, reason, message }) => rejected.push({ row: entry.row, type, reason, message }));
+    });
+
+    return { accepted, rejected };
+}
+
+/**
+ * Validates and publishes bulk-import rows in SendMessageBatch calls without
+ * recording failures. Returns { accepted: [{ row, messageId }],
+ * rejected: [{ row, type, reason, message?, issues? }] }.
+ */
+async function publishBulkImportRows(dataArray) {
+    return publishRows(BULK_IMPORT_QUEUE, bulkImportRowSchema, dataArray);
+}
+
+/**
+ * Same as publishBulkImportRows for update payloads, e.g. the rows of a
+ * multi-row sheet edit.
+ */
+async function publishUpdates(dataArray) {
+    return publishRows(UPDATE_QUEUE, updateSchema, dataArray);
+}
+
+/**
+ * Validates and publishes a single update without recording failures.
+ * Returns { ok: true, messageId } or { ok: false, type, reason, message?, issues? }.
+ */
+async function publishUpdate(updatedData) {
+    const transport = getQueueTransport();
+    const parsed = updateSchema.safeParse(updatedData);
+    if (!parsed.success) {
+        return { ok: false, type: 'validation', reason: 'ZodError', issues: parsed.error.issues };
+    }
 
     try {
-        // Validate the data before sending
-        updateSchema.parse(updatedData);
+        const { messageId } = await transport.sendMessage(UPDATE_QUEUE, JSON.stringify(parsed.data));
+        return { ok: true, messageId };
+    } catch (error) {
+        return { ok: false, type: transport.errorType, reason: error.name, message: error.message };
+    }
+}
+
+/**
+ * Queues a write-back request ({ connectionId, updates }) for the sheet
+ * write-back consumer. Returns { ok: true, messageId } or
+ * { ok: false, type, reason, message?, issues? }.
+ */
+async function publishWriteBack(request) {
+    const transport = getQueueTransport();
+    const parsed = writeBackMessageSchema.safeParse(request);
+    if (!parsed.success) {
+        return { ok: false, type: 'validation', reason: 'ZodError', issues: parsed.error.issues };
+    }
 
-        const params = {
-            QueueUrl: UPDATE_QUEUE_URL,
-            MessageBody: JSON.stringify(updatedData),
-        };
+    const body = JSON.stringify({ ...parsed.data, requested_at: parsed.data.requested_at || new Date().toISOString() });
+    if (Buffer.byteLength(body) > MAX_BATCH_BYTES) {
+        return { ok: false, type: 'size', reason: 'MessageTooLarge', message: `Message exceeds the ${MAX_BATCH_BYTES} byte SQS limit` };
+    }
 
-        await sqsClient.send(new SendMessageCommand(params));
-        console.log(`Sent update to SQS: ${updatedData.project_identifier}`);
+    try {
+        const { messageId } = await transport.sendMessage(WRITE_BACK_QUEUE, body);
+        return { ok: true, messageId };
+    } catch (error) {
+        return { ok: false, type: transport.errorType, reason: error.name, message: error.message };
+    }
+}
+
+// Stores rejected messages so they can be inspected and replayed through
+// /api/failed-messages. Recording problems are logged, never thrown.
+async function recordFailedMessages(kind, rejections) {
+    if (!rejections.length) return;
+
+    try {
+        await FailedMessage.insertMany(rejections.map(({ payload, type, reason, message, issues }) => ({
+            kind,
+            connectionId: payload?.connectionId || null,
+            payload,
+            errorType: type,
+            errorName: reason,
+            errorMessage: message || null,
+            issues: issues || [],
+        })));
     } catch (error) {
-        if (error.name === 'ZodError') {
-            console.error("Update validation error:", JSON.stringify(error.errors, null, 2));
+        console.error(`Could not record ${rejections.length} failed ${kind} messages:`, error.message);
+    }
+}
+
+/**
+ * Validates and publishes bulk-import rows. Rejected rows are stored in the
+ * failed-message collection. Returns { accepted, rejected } where accepted
+ * lists the queued rows with their message ids and rejected lists every
+ * dropped row with the reason (Zod issues for validation failures, the
+ * transport error code for send failures).
+ */
+async function sendBulkImportMessages(dataArray) {
+    console.log(`--- Preparing to send ${dataArray.length} rows to the ${BULK_IMPORT_QUEUE} queue ---`);
+
+    const result = await publishBulkImportRows(dataArray);
+    await recordFailedMessages('bulk_import', result.rejected.map(({ row, ...failure }) => ({ payload: row, ...failure })));
+
+    const accepted = result.accepted.map(({ row, messageId }) => ({ ...describeRow(row), messageId }));
+    const rejected = result.rejected.map(({ row, ...failure }) => ({ ...describeRow(row), ...failure }));
+
+    if (rejected.length) {
+        console.error(`Rejected ${rejected.length} rows:`, JSON.stringify(rejected.slice(0, 20), null, 2));
+    }
+    console.log(`Finished queue send process. Successfully sent ${accepted.length}/${dataArray.length} messages.`);
+    return { accepted, rejected };
+}
+
+async function sendUpdateMessage(updatedData) {
+    const result = await publishUpdate(updatedData);
+
+    if (result.ok) {
+        console.log(`Sent update to queue: ${updatedData.project_identifier}`);
+    } else {
+        if (result.type === 'validation') {
+            console.error("Update validation error:", JSON.stringify(result.issues, null, 2));
         } else {
-            console.error("Error sending SQS update:", error.name, error.message);
+            console.error("Error sending queue update:", result.reason, result.message);
         }
+        const { ok, ...failure } = result;
+        await recordFailedMessages('update', [{ payload: updatedData, ...failure }]);
+    }
+
+    return result;
+}
+
+/**
+ * Validates and publishes several updates together. Rejected rows are
+ * stored in the failed-message collection. Returns { accepted, rejected }
+ * with the original rows, like publishUpdates.
+ */
+async function sendUpdateMessages(dataArray) {
+    const result = await publishUpdates(dataArray);
+    await recordFailedMessages('update', result.rejected.map(({ row, ...failure }) => ({ payload: row, ...failure })));
+
+    if (result.rejected.length) {
+        const rejected = result.rejected.map(({ row, ...failure }) => ({ ...describeRow(row), ...failure }));
+        console.error(`Rejected ${rejected.length} updates:`, JSON.stringify(rejected.slice(0, 20), null, 2));
     }
+    console.log(`Sent ${result.accepted.length}/${dataArray.length} updates to the ${UPDATE_QUEUE} queue`);
+    return result;
 }
 
-module.exports = { sendBulkImportMessages, sendUpdateMessage };
\ No newline at end of file
+module.exports = {
+    BULK_IMPORT_QUEUE,
+    UPDATE_QUEUE,
+    WRITE_BACK_QUEUE,
+    sendBulkImportMessages,
+    sendUpdateMessage,
+    sendUpdateMessages,
+    publishBulkImportRows,
+    publishUpdate,
+    publishUpdates,
+    publishWriteBack,
+    recordFailedMessages,
+};
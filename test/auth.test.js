@@ -0,0 +1,99 @@
+process.env.API_SECRET_TOKEN = 'platform-token';
+process.env.OAUTH_STATE_SECRET = 'test-state-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GoogleCredential = require('../models/GoogleCredential');
+const authenticateRequest = require('../middleware/auth');
+const { requireConnectionKey, requirePlatformToken, requireEventsAccess } = authenticateRequest;
+const { generateConnectionSecret, formatConnectionKey } = require('../utils/connectionKeys');
+const { issueEventsToken } = require('../utils/eventsToken');
+
+const CONNECTION_ID = '64b000000000000000000001';
+const OTHER_CONNECTION_ID = '64b000000000000000000002';
+const USER_ID = '64b0000000000000000000aa';
+const { secret, hash } = generateConnectionSecret();
+const CONNECTION = { _id: CONNECTION_ID, userId: USER_ID, apiKeyHash: hash };
+
+// Runs a middleware and reports either its response or that it called next
+const run = async (middleware, req) => {
+  const request = { method: 'GET', headers: {}, query: {}, params: {}, ...req };
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body, auth: request.auth }) };
+      }
+    };
+    Promise.resolve(middleware(request, res, () => resolve({ next: true, auth: request.auth }))).catch(resolve);
+  });
+};
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+const mockConnections = (t) =>
+  t.mock.method(GoogleCredential, 'findById', (id) => ({
+    select: async () => (id === CONNECTION_ID ? CONNECTION : null)
+  }));
+
+test('the platform token is accepted without a database lookup', async (t) => {
+  const findById = mockConnections(t);
+
+  const result = await run(authenticateRequest, { headers: bearer('platform-token') });
+  assert.deepEqual(result, { next: true, auth: { type: 'platform' } });
+  assert.equal(findById.mock.callCount(), 0);
+});
+
+test('a connection key is checked against the stored hash', async (t) => {
+  mockConnections(t);
+
+  const ok = await run(authenticateRequest, { headers: bearer(formatConnectionKey(CONNECTION_ID, secret)) });
+  assert.deepEqual(ok, { next: true, auth: { type: 'connection', connection: CONNECTION } });
+
+  for (const token of [
+    formatConnectionKey(CONNECTION_ID, 'wrong-secret'),
+    formatConnectionKey(OTHER_CONNECTION_ID, secret),
+    'not-a-key'
+  ]) {
+    const result = await run(authenticateRequest, { headers: bearer(token) });
+    assert.equal(result.status, 403, token);
+  }
+
+  assert.equal((await run(authenticateRequest, {})).status, 401);
+});
+
+test('an events token only authenticates GET requests without a header', async (t) => {
+  mockConnections(t);
+  const { token } = issueEventsToken(CONNECTION_ID);
+
+  const ok = await run(authenticateRequest, { query: { token } });
+  assert.deepEqual(ok, { next: true, auth: { type: 'events', connectionId: CONNECTION_ID } });
+
+  assert.equal((await run(authenticateRequest, { method: 'POST', query: { token } })).status, 401);
+  assert.equal((await run(authenticateRequest, { query: { token: `${token}x` } })).status, 403);
+
+  // The Authorization header wins over ?token=
+  const platform = await run(authenticateRequest, { headers: bearer('platform-token'), query: { token } });
+  assert.deepEqual(platform.auth, { type: 'platform' });
+});
+
+test('route guards accept only their kind of credential', async () => {
+  const platform = { type: 'platform' };
+  const connection = { type: 'connection', connection: CONNECTION };
+  const events = { type: 'events', connectionId: CONNECTION_ID };
+  const params = { id: CONNECTION_ID };
+
+  assert.ok((await run(requirePlatformToken, { auth: platform })).next);
+  assert.equal((await run(requirePlatformToken, { auth: connection })).status, 403);
+  assert.equal((await run(requirePlatformToken, { auth: events })).status, 403);
+
+  assert.ok((await run(requireEventsAccess, { auth: platform, params })).next);
+  assert.ok((await run(requireEventsAccess, { auth: events, params })).next);
+  assert.equal((await run(requireEventsAccess, { auth: events, params: { id: OTHER_CONNECTION_ID } })).status, 403);
+  assert.equal((await run(requireEventsAccess, { auth: connection, params })).status, 403);
+
+  const query = { connectionId: CONNECTION_ID, userId: USER_ID };
+  assert.ok((await run(requireConnectionKey, { auth: connection, query })).next);
+  assert.equal((await run(requireConnectionKey, { auth: connection, query: { ...query, connectionId: OTHER_CONNECTION_ID } })).status, 403);
+  assert.equal((await run(requireConnectionKey, { auth: platform, query })).status, 403);
+  assert.equal((await run(requireConnectionKey, { auth: events, query })).status, 403);
+});
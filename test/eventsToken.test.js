@@ -0,0 +1,38 @@
+process.env.OAUTH_STATE_SECRET = 'test-state-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENTS_TOKEN_TTL_MS, issueEventsToken, verifyEventsToken } = require('../utils/eventsToken');
+const { verifyState } = require('../utils/oauthState');
+
+const CONNECTION_ID = '64b000000000000000000001';
+
+test('issueEventsToken names the connection and expires after the TTL', (t) => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const { token, expiresAt } = issueEventsToken(CONNECTION_ID);
+
+  assert.equal(expiresAt.getTime(), now + EVENTS_TOKEN_TTL_MS);
+  assert.deepEqual(verifyEventsToken(token), { connectionId: CONNECTION_ID, expiresAt });
+
+  Date.now.mock.mockImplementation(() => now + EVENTS_TOKEN_TTL_MS - 1);
+  assert.ok(verifyEventsToken(token));
+  Date.now.mock.mockImplementation(() => now + EVENTS_TOKEN_TTL_MS);
+  assert.equal(verifyEventsToken(token), null);
+});
+
+test('an events token cannot be moved to another connection', () => {
+  const { token } = issueEventsToken(CONNECTION_ID);
+  const [, signature] = token.split('.');
+  const payload = Buffer.from(JSON.stringify({ c: '64b000000000000000000002', exp: Date.now() + 60000 })).toString('base64url');
+
+  assert.equal(verifyEventsToken(`${payload}.${signature}`), null);
+  assert.equal(verifyEventsToken(issueEventsToken('64b000000000000000000002').token).connectionId, '64b000000000000000000002');
+});
+
+test('events tokens and OAuth states are not interchangeable', () => {
+  const { token } = issueEventsToken(CONNECTION_ID);
+  assert.equal(verifyState(token), null);
+
+  [undefined, '', 'abc', `${token}.x`].forEach((value) => assert.equal(verifyEventsToken(value), null, JSON.stringify(value)));
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  dateSettingsFor,
+  parseDate,
+  parseRagStatus,
+  parseMilestoneStatus,
+  parseNumber,
+  parseCurrency
+} = require('../utils/fieldParsers');
+
+const US = { dateOrder: 'MDY', timeZone: 'America/New_York' };
+const UK = { dateOrder: 'DMY', timeZone: 'Europe/London' };
+const INDIA = { dateOrder: 'DMY', timeZone: 'Asia/Kolkata' };
+
+// Runs each [input, expected] row; expected undefined means an error
+const checkTable = (parse, rows, settings) => {
+  rows.forEach(([input, expected]) => {
+    const result = settings ? parse(input, settings) : parse(input);
+    if (expected === undefined) {
+      assert.ok(result.error, `${JSON.stringify(input)} should fail, got ${JSON.stringify(result)}`);
+    } else {
+      assert.deepEqual(result, { value: expected }, `input ${JSON.stringify(input)}`);
+    }
+  });
+};
+
+test('parseDate reads formats that do not depend on the locale', () => {
+  checkTable(parseDate, [
+    [null, null],
+    ['', null],
+    ['   ', null],
+    [45720, '2025-03-04'],
+    ['45720', '2025-03-04'],
+    ['2025-03-04', '2025-03-04'],
+    ['2025/3/4', '2025-03-04'],
+    ['2025.03.04', '2025-03-04'],
+    ['Mar 4, 2025', '2025-03-04'],
+    ['March 4th 2025', '2025-03-04'],
+    ['4 March 2025', '2025-03-04'],
+    ['4th Mar, 2025', '2025-03-04'],
+    ['4-Mar-25', '2025-03-04'],
+    ['4-Mar-2025', '2025-03-04'],
+    ['04 Mar 25', '2025-03-04'],
+    ['2025-02-30', undefined],
+    ['Smarch 4, 2025', undefined],
+    ['soon', undefined],
+    [0, undefined],
+    [new Date('invalid'), undefined]
+  ], US);
+});
+
+test('parseDate reads numeric dates in the sheet date order', () => {
+  checkTable(parseDate, [
+    ['03/04/2025', '2025-03-04'],
+    ['3-4-25', '2025-03-04'],
+    ['13/04/2025', '2025-04-13'],
+    ['02/30/2025', undefined]
+  ], US);
+  checkTable(parseDate, [
+    ['03/04/2025', '2025-04-03'],
+    ['03.04.25', '2025-04-03'],
+    ['04/13/2025', '2025-04-13'],
+    ['30/02/2025', undefined]
+  ], UK);
+});
+
+test('parseDate turns timestamps into dates in the sheet time zone', () => {
+  checkTable(parseDate, [
+    ['2025-03-03T18:30:00.000Z', '2025-03-04'],
+    [new Date('2025-03-03T18:30:00.000Z'), '2025-03-04']
+  ], INDIA);
+  checkTable(parseDate, [
+    ['2025-03-04T03:00:00.000Z', '2025-03-03'],
+    [new Date('2025-03-04T03:00:00.000Z'), '2025-03-03']
+  ], US);
+});
+
+test('dateSettingsFor derives the settings from the spreadsheet properties', () => {
+  const rows = [
+    [{ sheetLocale: 'en_US', sheetTimeZone: 'America/New_York' }, US],
+    [{ sheetLocale: 'en_GB', sheetTimeZone: 'Europe/London' }, UK],
+    [{ sheetLocale: 'fr_FR', sheetTimeZone: 'Europe/Paris' }, { dateOrder: 'DMY', timeZone: 'Europe/Paris' }]
+  ];
+  rows.forEach(([connection, expected]) => {
+    assert.deepEqual(dateSettingsFor(connection), expected, JSON.stringify(connection));
+  });
+
+  const fallback = dateSettingsFor({});
+  assert.deepEqual(dateSettingsFor({ sheetLocale: 'not a locale!', sheetTimeZone: 'Mars/Olympus' }), fallback);
+});
+
+test('parseRagStatus accepts aliases', () => {
+  checkTable(parseRagStatus, [
+    ['Red', 'Red'],
+    [' g ', 'Green'],
+    ['yellow', 'Amber'],
+    ['', null],
+    ['Blue', undefined]
+  ]);
+});
+
+test('parseMilestoneStatus accepts aliases and separators', () => {
+  checkTable(parseMilestoneStatus, [
+    ['In-Progress', 'In Progress'],
+    ['not_started', 'Not Started'],
+    ['DONE', 'Completed'],
+    ['canceled', 'Cancelled'],
+    [null, null],
+    ['maybe', undefined]
+  ]);
+});
+
+test('parseNumber accepts separators and percentages', () => {
+  checkTable(parseNumber, [
+    [40, 40],
+    ['1,250', 1250],
+    ['12.5%', 12.5],
+    [' -3 ', -3],
+    ['', null],
+    ['twelve', undefined],
+    [Infinity, undefined]
+  ]);
+});
+
+test('parseCurrency accepts symbols, codes, negatives and magnitudes', () => {
+  checkTable(parseCurrency, [
+    [1200, 1200],
+    ['$1,200.50', 1200.5],
+    ['₹ 12,00,000', 1200000],
+    ['USD 300', 300],
+    ['300 EUR', 300],
+    ['(1,200)', -1200],
+    ['-£45', -45],
+    ['45-', -45],
+    ['1.5M', 1500000],
+    ['2bn', 2000000000],
+    ['10k', 10000],
+    ['', null],
+    ['lots', undefined]
+  ]);
+});
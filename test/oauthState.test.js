@@ -0,0 +1,108 @@
+process.env.OAUTH_STATE_SECRET = 'test-state-secret';
+Object.assign(process.env, {
+  GOOGLE_CLIENT_ID: 'client',
+  GOOGLE_CLIENT_SECRET: 'secret',
+  GOOGLE_REDIRECT_URI: 'http://localhost/auth/google/callback',
+  API_BASE_URL: 'http://localhost',
+  TOKEN_ENCRYPTION_KEYS: `k1:${Buffer.alloc(32, 1).toString('base64')}`
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const OAuthState = require('../models/OAuthState');
+const { STATE_COOKIE, issueState, verifyState, consumeState, readCookie } = require('../utils/oauthState');
+
+const USER_ID = '64b000000000000000000001';
+
+// In-memory stand-in for the OAuthState collection, honouring the filter
+// consumeState relies on
+const mockStateStore = (t) => {
+  const docs = [];
+  t.mock.method(OAuthState, 'create', async (doc) => {
+    docs.push({ ...doc, usedAt: null });
+    return doc;
+  });
+  t.mock.method(OAuthState, 'findOneAndUpdate', async (filter, update) => {
+    const doc = docs.find((d) =>
+      d.nonce === filter.nonce &&
+      d.usedAt === filter.usedAt &&
+      d.expiresAt > filter.expiresAt.$gt
+    );
+    if (!doc) return null;
+    Object.assign(doc, update.$set);
+    return doc;
+  });
+  return docs;
+};
+
+const flip = (text) => `${text.slice(0, -1)}${text.endsWith('A') ? 'B' : 'A'}`;
+
+test('issueState signs a state that verifyState accepts', async (t) => {
+  const docs = mockStateStore(t);
+  const { state, expiresAt } = await issueState({ userId: USER_ID, sheetId: 'sheet', sheetRange: 'Sheet1' });
+
+  assert.equal(docs.length, 1);
+  assert.equal(docs[0].spreadsheetId, 'sheet');
+  assert.deepEqual(verifyState(state), { nonce: docs[0].nonce, expiresAt });
+});
+
+test('verifyState rejects tampered, malformed and expired states', async (t) => {
+  mockStateStore(t);
+  const { state } = await issueState({ userId: USER_ID, sheetId: 'sheet', sheetRange: 'Sheet1' });
+  const [payload, signature] = state.split('.');
+
+  const forged = Buffer.from(JSON.stringify({ n: 'other', exp: Date.now() + 60000 })).toString('base64url');
+  [
+    undefined,
+    '',
+    payload,
+    `${payload}.${flip(signature)}`,
+    `${forged}.${signature}`,
+    `${state}.extra`
+  ].forEach((value) => assert.equal(verifyState(value), null, JSON.stringify(value)));
+
+  t.mock.method(Date, 'now', () => new Date('2100-01-01').getTime());
+  assert.equal(verifyState(state), null);
+});
+
+test('consumeState returns the stored state only once', async (t) => {
+  mockStateStore(t);
+  const { state } = await issueState({ userId: USER_ID, sheetId: 'sheet', sheetRange: 'Sheet1' });
+  const { nonce } = verifyState(state);
+
+  const stored = await consumeState(nonce);
+  assert.equal(stored.spreadsheetId, 'sheet');
+  assert.ok(stored.usedAt instanceof Date);
+  assert.equal(await consumeState(nonce), null);
+  assert.equal(await consumeState('unknown'), null);
+});
+
+test('readCookie finds a cookie among others', () => {
+  const req = { headers: { cookie: `a=1; ${STATE_COOKIE}=ab%3Dc; b=2` } };
+  assert.equal(readCookie(req, STATE_COOKIE), 'ab=c');
+  assert.equal(readCookie(req, 'missing'), null);
+  assert.equal(readCookie({ headers: {} }, STATE_COOKIE), null);
+});
+
+test('the OAuth callback rejects a state whose nonce is not in the cookie', async (t) => {
+  mockStateStore(t);
+  const { state } = await issueState({ userId: USER_ID, sheetId: 'sheet', sheetRange: 'Sheet1' });
+  const { nonce } = verifyState(state);
+
+  const app = express();
+  app.use('/auth', require('../routes/authRoutes'));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/auth/google/callback?code=c&state=${encodeURIComponent(state)}`;
+
+  for (const cookie of [undefined, `${STATE_COOKIE}=someone-else`]) {
+    const res = await fetch(url, { headers: cookie ? { cookie } : {}, signal: AbortSignal.timeout(5000) });
+    assert.equal(res.status, 400);
+    assert.match(await res.text(), /does not belong to this browser/);
+  }
+
+  // The rejected callbacks did not use up the state
+  assert.equal(OAuthState.findOneAndUpdate.mock.callCount(), 0);
+  assert.ok(await consumeState(nonce));
+});
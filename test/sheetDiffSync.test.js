@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqsService = require('../sqs-service');
+const sheetImporter = require('../utils/sheetImporter');
+const SheetSnapshotRow = require('../models/SheetSnapshotRow');
+
+// sheetDiffSync takes these functions at load time, so they are swapped for
+// stand-ins before it is required. sheet holds the rows each read returns
+// and rejectKeys the project_identifiers the queue refuses.
+let sheet = [];
+let rejectKeys = new Set();
+const sent = [];
+sheetImporter.forEachSheetChunk = async (oauth2Client, connection, tab, rowWindow, onChunk) => {
+  const firstRowByKey = new Map();
+  const formattedData = [];
+  const duplicates = [];
+  sheet.forEach(([identifier, value], i) => {
+    const row = { project_identifier: identifier, row_index: i + 2, record_type: 'project', input_data: { Name: identifier, Value: value } };
+    if (identifier !== null && firstRowByKey.has(identifier)) {
+      duplicates.push({ row, firstRowIndex: firstRowByKey.get(identifier) });
+      return;
+    }
+    if (identifier !== null) firstRowByKey.set(identifier, row.row_index);
+    formattedData.push(row);
+  });
+  await onChunk(formattedData, ['Name', 'Value'], duplicates);
+};
+sqsService.sendUpdateMessages = async (rows) => {
+  sent.push(...rows.map((row) => row.project_identifier));
+  return {
+    accepted: rows.filter((row) => !rejectKeys.has(row.project_identifier)).map((row) => ({ row })),
+    rejected: rows.filter((row) => rejectKeys.has(row.project_identifier)).map((row) => ({ row, type: 'validation' }))
+  };
+};
+
+const { rowKey, hashRow, syncChangedRows } = require('../utils/sheetDiffSync');
+
+const CONNECTION = { _id: '64b000000000000000000001', sheetRange: 'Projects', columnMappings: [] };
+const TAB = { label: 'Projects' };
+
+// In-memory SheetSnapshotRow collection keyed by row key
+const mockSnapshots = (t) => {
+  const rows = new Map();
+  t.mock.method(SheetSnapshotRow, 'find', () => ({
+    lean: async () => [...rows].map(([key, { hash }]) => ({ key, hash }))
+  }));
+  t.mock.method(SheetSnapshotRow, 'bulkWrite', async (ops) => {
+    ops.forEach(({ updateOne: { filter, update } }) => rows.set(filter.key, update.$set));
+  });
+  t.mock.method(SheetSnapshotRow, 'deleteMany', async ({ key }) => {
+    key.$in.forEach((k) => rows.delete(k));
+  });
+  return rows;
+};
+
+const sync = async (options) => {
+  sent.length = 0;
+  return syncChangedRows(null, CONNECTION, options);
+};
+
+test('rowKey and hashRow identify rows by key and content', () => {
+  const row = { record_type: 'project', input_data: { Name: 'A', Value: 1 }, row_index: 2 };
+
+  assert.notEqual(rowKey(TAB, 'A', 0), rowKey(TAB, 'A', 1));
+  assert.notEqual(rowKey(TAB, 'A', 0), rowKey({ label: 'Risks' }, 'A', 0));
+  assert.equal(hashRow(row), hashRow({ ...row, row_index: 9 }));
+  assert.notEqual(hashRow(row), hashRow({ ...row, input_data: { Name: 'A', Value: 2 } }));
+  assert.notEqual(hashRow(row), hashRow({ ...row, record_type: 'risk' }));
+});
+
+test('the first sync sends every keyed row and takes the baseline', async (t) => {
+  const snapshot = mockSnapshots(t);
+  sheet = [['A', 1], ['B', 2], [null, 3], ['A', 4]];
+  rejectKeys = new Set();
+
+  const counts = await sync();
+  assert.deepEqual(sent, ['A', 'B']);
+  assert.deepEqual(counts, {
+    rowsRead: 4, rowsChanged: 2, rowsQueued: 2, rowsRejected: 0, rowsUnkeyed: 1, rowsDuplicate: 1, rowsRemoved: 0, baseline: true
+  });
+  assert.deepEqual([...snapshot.keys()], [rowKey(TAB, 'A', 0), rowKey(TAB, 'B', 0)]);
+});
+
+test('later syncs send only changed rows and drop removed ones', async (t) => {
+  const snapshot = mockSnapshots(t);
+  sheet = [['A', 1], ['B', 2], ['C', 3]];
+  rejectKeys = new Set();
+  await sync();
+
+  // Sorting is not a change
+  sheet = [['C', 3], ['B', 2], ['A', 1]];
+  assert.equal((await sync()).rowsChanged, 0);
+  assert.deepEqual(sent, []);
+
+  sheet = [['A', 1], ['B', 20]];
+  const counts = await sync();
+  assert.deepEqual(sent, ['B']);
+  assert.equal(counts.rowsRemoved, 1);
+  assert.equal(counts.baseline, false);
+  assert.equal(snapshot.has(rowKey(TAB, 'C', 0)), false);
+  assert.equal(snapshot.get(rowKey(TAB, 'B', 0)).hash, hashRow({ record_type: 'project', input_data: { Name: 'B', Value: 20 } }));
+});
+
+test('rows the queue rejected keep their old hash and are sent again', async (t) => {
+  const snapshot = mockSnapshots(t);
+  sheet = [['A', 1], ['B', 2]];
+  rejectKeys = new Set();
+  await sync();
+  const hashB = snapshot.get(rowKey(TAB, 'B', 0)).hash;
+
+  sheet = [['A', 10], ['B', 20]];
+  rejectKeys = new Set(['B']);
+  const counts = await sync();
+  assert.deepEqual([counts.rowsChanged, counts.rowsQueued, counts.rowsRejected], [2, 1, 1]);
+  assert.equal(snapshot.get(rowKey(TAB, 'B', 0)).hash, hashB);
+
+  rejectKeys = new Set();
+  await sync();
+  assert.deepEqual(sent, ['B']);
+});
+
+test('enqueue: false only records the snapshot', async (t) => {
+  const snapshot = mockSnapshots(t);
+  sheet = [['A', 1], ['B', 2]];
+
+  const counts = await sync({ enqueue: false });
+  assert.deepEqual(sent, []);
+  assert.equal(counts.rowsQueued, 0);
+  assert.equal(snapshot.size, 2);
+
+  assert.equal((await sync()).rowsChanged, 0);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const KEY_A = `a:${Buffer.alloc(32, 1).toString('base64')}`;
+const KEY_B = `b:${Buffer.alloc(32, 2).toString('base64')}`;
+const TOKENS = { access_token: 'access', refresh_token: 'refresh', expiry_date: 1700000000000 };
+
+// tokenCrypto caches TOKEN_ENCRYPTION_KEYS on first use, so each key
+// configuration gets a fresh copy of the module
+const withKeys = (keys) => {
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  delete require.cache[require.resolve('../utils/tokenCrypto')];
+  return require('../utils/tokenCrypto');
+};
+
+test('encryptTokens round-trips through decryptTokens', () => {
+  const { encryptTokens, decryptTokens, isEncrypted } = withKeys(KEY_A);
+  const stored = encryptTokens(TOKENS);
+
+  assert.ok(isEncrypted(stored));
+  assert.equal(stored.kid, 'a');
+  assert.doesNotMatch(JSON.stringify(stored), /refresh/);
+  assert.deepEqual(decryptTokens(stored), { tokens: TOKENS, needsRewrap: false });
+});
+
+test('decryptTokens refuses a record wrapped with an unknown key', () => {
+  const stored = withKeys(KEY_A).encryptTokens(TOKENS);
+  const { decryptTokens, rewrapTokens } = withKeys(KEY_B);
+
+  assert.throws(() => decryptTokens(stored), /Token encryption key "a" is not configured/);
+  assert.throws(() => rewrapTokens(stored), /Token encryption key "a" is not configured/);
+});
+
+test('decryptTokens rejects a modified payload', () => {
+  const { encryptTokens, decryptTokens } = withKeys(KEY_A);
+  const stored = encryptTokens(TOKENS);
+  const data = Buffer.from(stored.payload.data, 'base64');
+  data[0] ^= 1;
+
+  assert.throws(() => decryptTokens({ ...stored, payload: { ...stored.payload, data: data.toString('base64') } }));
+});
+
+test('records wrapped with an older key are rewrapped with the primary key', () => {
+  const stored = withKeys(KEY_A).encryptTokens(TOKENS);
+  const { decryptTokens, rewrapTokens } = withKeys(`${KEY_B},${KEY_A}`);
+
+  assert.deepEqual(decryptTokens(stored), { tokens: TOKENS, needsRewrap: true });
+
+  const rewrapped = rewrapTokens(stored);
+  assert.equal(rewrapped.kid, 'b');
+  assert.deepEqual(rewrapped.payload, stored.payload);
+  assert.deepEqual(decryptTokens(rewrapped), { tokens: TOKENS, needsRewrap: false });
+
+  // Once the old key is retired the rewrapped record still opens
+  assert.deepEqual(withKeys(KEY_B).decryptTokens(rewrapped).tokens, TOKENS);
+});
+
+test('legacy plaintext tokens are flagged and encrypted on rewrap', () => {
+  const { decryptTokens, rewrapTokens, isEncrypted } = withKeys(KEY_A);
+
+  assert.deepEqual(decryptTokens(TOKENS), { tokens: TOKENS, needsRewrap: true });
+  const rewrapped = rewrapTokens(TOKENS);
+  assert.ok(isEncrypted(rewrapped));
+  assert.deepEqual(decryptTokens(rewrapped).tokens, TOKENS);
+});
+
+test('malformed key configuration is reported', () => {
+  assert.throws(() => withKeys('a:short').encryptTokens(TOKENS), /Invalid TOKEN_ENCRYPTION_KEYS entry "a"/);
+});
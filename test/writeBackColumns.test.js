@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isWriteBackHeader, omitWriteBackColumns } = require('../utils/writeBackColumns');
+
+const CONNECTION = { writeBackColumns: [{ header: 'Sync Status' }, { header: 'Variance' }] };
+
+test('omitWriteBackColumns drops reserved columns whatever their spacing and case', () => {
+  const inputData = { Name: 'Bridge', 'sync  status': 'ok', ' VARIANCE ': 3, Budget: 10 };
+  assert.deepEqual(omitWriteBackColumns(inputData, CONNECTION), { Name: 'Bridge', Budget: 10 });
+});
+
+test('omitWriteBackColumns leaves data alone without reserved columns', () => {
+  const inputData = { Name: 'Bridge' };
+  assert.equal(omitWriteBackColumns(inputData, {}), inputData);
+  assert.equal(omitWriteBackColumns(inputData, { writeBackColumns: [] }), inputData);
+  assert.equal(omitWriteBackColumns(null, CONNECTION), null);
+});
+
+test('isWriteBackHeader matches reserved headers only', () => {
+  assert.equal(isWriteBackHeader(CONNECTION, 'sync status'), true);
+  assert.equal(isWriteBackHeader(CONNECTION, 'Name'), false);
+  assert.equal(isWriteBackHeader(CONNECTION, null), false);
+  assert.equal(isWriteBackHeader({}, 'Variance'), false);
+});
@@ -0,0 +1,78 @@
+const { createSqsTransport } = require("./sqsTransport");
+const { createMongoTransport } = require("./mongoTransport");
+const { createMemoryTransport } = require("./memoryTransport");
+
+// Queue transports, selected with QUEUE_TRANSPORT (default "sqs"). Every
+// transport works with logical queue names ("bulk_import", "update",
+// "write_back") and implements:
+//   sendMessage(queue, body) -> { messageId }
+//   sendMessageBatch(queue, [{ id, body }]) ->
+//       { successful: [{ id, messageId }], failed: [{ id, code, message, senderFault }] }
+//   receiveMessages(queue, { maxMessages, visibilityTimeoutMs, waitTimeMs }) ->
+//       [{ messageId, receiptHandle, body, receiveCount }]
+//   deleteMessage(queue, receiptHandle)
+
+const factories = {
+    sqs: createSqsTransport,
+    mongo: createMongoTransport,
+    memory: createMemoryTransport,
+};
+
+let transport = null;
+
+function getQueueTransport() {
+    if (!transport) {
+        const name = process.env.QUEUE_TRANSPORT || "sqs";
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown QUEUE_TRANSPORT "${name}". Expected one of: ${Object.keys(factories).join(", ")}`);
+        }
+        transport = factory();
+    }
+    return transport;
+}
+
+// Replaces the active transport, e.g. with a memory transport in tests
+function setQueueTransport(next) {
+    transport = next;
+}
+
+/**
+ * Polls a queue and hands each message body (parsed as JSON) to handler.
+ * Messages are deleted once handler resolves; if it throws, the message
+ * becomes visible again after the visibility timeout. Returns stop().
+ */
+function consumeQueue(queue, handler, { pollIntervalMs = 1000, maxMessages = 10, visibilityTimeoutMs = 30000 } = {}) {
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+        if (stopped) return;
+        const activeTransport = getQueueTransport();
+
+        try {
+            const messages = await activeTransport.receiveMessages(queue, { maxMessages, visibilityTimeoutMs });
+            for (const message of messages) {
+                try {
+                    await handler(JSON.parse(message.body), message);
+                    await activeTransport.deleteMessage(queue, message.receiptHandle);
+                } catch (error) {
+                    console.error(`[QUEUE] Handler failed for ${queue} message ${message.messageId}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error(`[QUEUE] Failed to receive from ${queue}:`, error.message);
+        }
+
+        if (!stopped) timer = setTimeout(poll, pollIntervalMs);
+    };
+
+    poll();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+module.exports = { getQueueTransport, setQueueTransport, consumeQueue };
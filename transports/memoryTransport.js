@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+
+// Process-local queues for tests and offline runs. Messages live until they
+// are deleted; a received message is hidden for the visibility timeout and
+// then becomes receivable again, like on SQS.
+function createMemoryTransport() {
+    const queues = new Map();
+
+    const getQueue = (queue) => {
+        if (!queues.has(queue)) queues.set(queue, []);
+        return queues.get(queue);
+    };
+
+    const enqueue = (queue, body) => {
+        const message = {
+            messageId: crypto.randomUUID(),
+            body,
+            visibleAt: 0,
+            receiveCount: 0,
+            receiptHandle: null,
+        };
+        getQueue(queue).push(message);
+        return { messageId: message.messageId };
+    };
+
+    return {
+        name: "memory",
+        errorType: "transport",
+
+        async sendMessage(queue, body) {
+            return enqueue(queue, body);
+        },
+
+        async sendMessageBatch(queue, entries) {
+            return {
+                successful: entries.map(entry => ({ id: entry.id, ...enqueue(queue, entry.body) })),
+                failed: [],
+            };
+        },
+
+        async receiveMessages(queue, { maxMessages = 10, visibilityTimeoutMs = 30000 } = {}) {
+            const now = Date.now();
+            return getQueue(queue)
+                .filter(message => message.visibleAt <= now)
+                .slice(0, maxMessages)
+                .map(message => {
+                    message.visibleAt = now + visibilityTimeoutMs;
+                    message.receiveCount++;
+                    message.receiptHandle = crypto.randomUUID();
+                    return {
+                        messageId: message.messageId,
+                        receiptHandle: message.receiptHandle,
+                        body: message.body,
+                        receiveCount: message.receiveCount,
+                    };
+                });
+        },
+
+        async deleteMessage(queue, receiptHandle) {
+            const messages = getQueue(queue);
+            const index = messages.findIndex(message => message.receiptHandle === receiptHandle);
+            if (index !== -1) messages.splice(index, 1);
+        },
+
+        // Test helpers
+        size(queue) {
+            return getQueue(queue).length;
+        },
+
+        purge(queue) {
+            queues.delete(queue);
+        },
+    };
+}
+
+module.exports = { createMemoryTransport };
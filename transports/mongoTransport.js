@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const QueueMessage = require("../models/QueueMessage");
+
+// Durable local queue stored in the app's own Mongo database. Receiving is an
+// atomic findOneAndUpdate, so several consumers can share a queue safely.
+function createMongoTransport() {
+    return {
+        name: "mongo",
+        errorType: "transport",
+
+        async sendMessage(queue, body) {
+            const message = await QueueMessage.create({ queue, body });
+            return { messageId: message._id.toString() };
+        },
+
+        // Inserted one at a time so every entry gets its own outcome
+        async sendMessageBatch(queue, entries) {
+            const successful = [];
+            const failed = [];
+
+            for (const entry of entries) {
+                try {
+                    const message = await QueueMessage.create({ queue, body: entry.body });
+                    successful.push({ id: entry.id, messageId: message._id.toString() });
+                } catch (error) {
+                    failed.push({ id: entry.id, code: error.name, message: error.message, senderFault: false });
+                }
+            }
+
+            return { successful, failed };
+        },
+
+        async receiveMessages(queue, { maxMessages = 10, visibilityTimeoutMs = 30000 } = {}) {
+            const messages = [];
+
+            for (let i = 0; i < maxMessages; i++) {
+                const now = new Date();
+                const message = await QueueMessage.findOneAndUpdate(
+                    { queue, visibleAt: { $lte: now } },
+                    {
+                        $set: {
+                            visibleAt: new Date(now.getTime() + visibilityTimeoutMs),
+                            receiptHandle: crypto.randomUUID(),
+                        },
+                        $inc: { receiveCount: 1 },
+                    },
+                    { sort: { createdAt: 1 }, new: true }
+                );
+                if (!message) break;
+
+                messages.push({
+                    messageId: message._id.toString(),
+                    receiptHandle: message.receiptHandle,
+                    body: message.body,
+                    receiveCount: message.receiveCount,
+                });
+            }
+
+            return messages;
+        },
+
+        async deleteMessage(queue, receiptHandle) {
+            await QueueMessage.deleteOne({ queue, receiptHandle });
+        },
+    };
+}
+
+module.exports = { createMongoTransport };
@@ -0,0 +1,85 @@
+const {
+    SQSClient,
+    SendMessageCommand,
+    SendMessageBatchCommand,
+    ReceiveMessageCommand,
+    DeleteMessageCommand,
+} = require("@aws-sdk/client-sqs");
+
+// Logical queue name -> environment variable holding the SQS queue URL
+const QUEUE_URL_VARS = {
+    bulk_import: "BULK_IMPORT_QUEUE_URL",
+    update: "UPDATE_QUEUE_URL",
+    write_back: "WRITE_BACK_QUEUE_URL",
+};
+
+function createSqsTransport() {
+    const sqsClient = new SQSClient({
+        region: process.env.AWS_REGION,
+        credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+    });
+
+    const queueUrl = (queue) => {
+        const envVar = QUEUE_URL_VARS[queue];
+        const url = envVar && process.env[envVar];
+        if (!url) throw new Error(`${envVar || queue} not configured.`);
+        return url;
+    };
+
+    return {
+        name: "sqs",
+        errorType: "aws",
+
+        async sendMessage(queue, body) {
+            const response = await sqsClient.send(new SendMessageCommand({
+                QueueUrl: queueUrl(queue),
+                MessageBody: body,
+            }));
+            return { messageId: response.MessageId };
+        },
+
+        async sendMessageBatch(queue, entries) {
+            const response = await sqsClient.send(new SendMessageBatchCommand({
+                QueueUrl: queueUrl(queue),
+                Entries: entries.map(entry => ({ Id: entry.id, MessageBody: entry.body })),
+            }));
+            return {
+                successful: (response.Successful || []).map(result => ({ id: result.Id, messageId: result.MessageId })),
+                failed: (response.Failed || []).map(failure => ({
+                    id: failure.Id,
+                    code: failure.Code,
+                    message: failure.Message,
+                    senderFault: Boolean(failure.SenderFault),
+                })),
+            };
+        },
+
+        async receiveMessages(queue, { maxMessages = 10, visibilityTimeoutMs = 30000, waitTimeMs = 0 } = {}) {
+            const response = await sqsClient.send(new ReceiveMessageCommand({
+                QueueUrl: queueUrl(queue),
+                MaxNumberOfMessages: Math.min(maxMessages, 10),
+                VisibilityTimeout: Math.ceil(visibilityTimeoutMs / 1000),
+                WaitTimeSeconds: Math.min(Math.ceil(waitTimeMs / 1000), 20),
+                MessageSystemAttributeNames: ["ApproximateReceiveCount"],
+            }));
+            return (response.Messages || []).map(message => ({
+                messageId: message.MessageId,
+                receiptHandle: message.ReceiptHandle,
+                body: message.Body,
+                receiveCount: Number(message.Attributes?.ApproximateReceiveCount) || 1,
+            }));
+        },
+
+        async deleteMessage(queue, receiptHandle) {
+            await sqsClient.send(new DeleteMessageCommand({
+                QueueUrl: queueUrl(queue),
+                ReceiptHandle: receiptHandle,
+            }));
+        },
+    };
+}
+
+module.exports = { createSqsTransport };
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const axios = require('axios');
+const { scriptContent } = require('../scripts/script_content.js');
+const { delay, retryGoogleAPICall } = require('./retry');
+
+// The Apps Script provisioning flow, split into steps so that the job runner
+// can checkpoint after each one and resume from the last completed step.
+
+const manifestContent = {
+  "timeZone": "Asia/Kolkata",
+  "exceptionLogging": "STACKDRIVER",
+  "runtimeVersion": "V8",
+  "oauthScopes": [
+    "https://www.googleapis.com/auth/spreadsheets.currentonly",
+    "https://www.googleapis.com/auth/script.external_request",
+    "https://www.googleapis.com/auth/script.scriptapp"
+  ],
+  "webapp": {
+    "access": "ANYONE_ANONYMOUS",
+    "executeAs": "USER_DEPLOYING"
+  }
+};
+
+// Identifies the script template (code and manifest) a deployment was built
+// from. It changes whenever either does, so connections whose recorded
+// scriptTemplateVersion differs are due for an upgrade.
+const SCRIPT_TEMPLATE_VERSION = crypto
+  .createHash('sha256')
+  .update(scriptContent)
+  .update(JSON.stringify(manifestContent))
+  .digest('hex')
+  .slice(0, 12);
+
+// Every step accepts an optional progress(event) callback that receives
+// structured versions of the [APPS_SCRIPT] log lines.
+const noProgress = () => {};
+
+const scriptClient = (oauth2Client) => google.script({ version: 'v1', auth: oauth2Client });
+
+// Step: create the container-bound script project and wait until it is readable
+const createScriptProject = async (oauth2Client, spreadsheetId, progress = noProgress) => {
+  const script = scriptClient(oauth2Client);
+
+  console.log('[APPS_SCRIPT] Creating script project...');
+  const createResponse = await retryGoogleAPICall(() =>
+    script.projects.create({
+      requestBody: {
+        title: `Sheet Sync - ${new Date().toISOString().slice(0, 10)}`,
+        parentId: spreadsheetId
+      }
+    })
+  );
+
+  const scriptId = createResponse.data.scriptId;
+  console.log(`[APPS_SCRIPT] Created script with ID: ${scriptId}`);
+  progress({ step: 'create_script', message: 'Script project created', scriptId });
+
+  console.log('[APPS_SCRIPT] Waiting for script to be ready...');
+  await delay(10000); // Initial wait
+
+  // Verify script is accessible
+  for (let i = 0; i < 10; i++) {
+    try {
+      await retryGoogleAPICall(() => script.projects.get({ scriptId }));
+      console.log(`[APPS_SCRIPT] Script ready after ${i + 1} attempts`);
+      progress({ step: 'create_script', message: 'Script project ready' });
+      break;
+    } catch (error) {
+      if (i === 9) throw new Error('Script not ready after 10 attempts');
+      console.log(`[APPS_SCRIPT] Script not ready, waiting... (${i + 1}/10)`);
+      progress({ step: 'create_script', message: 'Waiting for script project', attempt: i + 1, maxAttempts: 10 });
+      await delay(5000 * (i + 1));
+    }
+  }
+
+  return { scriptId };
+};
+
+// Step: upload the code and manifest, then wait until the content is visible
+const uploadScriptContent = async (oauth2Client, scriptId, progress = noProgress) => {
+  const script = scriptClient(oauth2Client);
+
+  console.log('[APPS_SCRIPT] Adding code content...');
+  await retryGoogleAPICall(() =>
+    script.projects.updateContent({
+      scriptId,
+      requestBody: {
+        files: [
+          {
+            name: 'Code',
+            type: 'SERVER_JS',
+            source: scriptContent
+          },
+          {
+            name: 'appsscript',
+            type: 'JSON',
+            source: JSON.stringify(manifestContent, null, 2)
+          }
+        ]
+      }
+    })
+  );
+  console.log('[APPS_SCRIPT] Code content updated successfully');
+  progress({ step: 'upload_content', message: 'Code uploaded' });
+
+  console.log('[APPS_SCRIPT] Waiting for content processing...');
+  await delay(15000);
+
+  // Verify content is there
+  for (let i = 0; i < 8; i++) {
+    try {
+      const content = await retryGoogleAPICall(() =>
+        script.projects.getContent({ scriptId })
+      );
+      const files = content.data.files || [];
+
+      if (files.some(f => f.name === 'Code') && files.some(f => f.name === 'appsscript')) {
+        console.log('[APPS_SCRIPT] Content verified successfully');
+        progress({ step: 'upload_content', message: 'Code verified' });
+        break;
+      }
+
+      if (i === 7) throw new Error('Content not ready after verification attempts');
+      console.log(`[APPS_SCRIPT] Content not ready, waiting... (${i + 1}/8)`);
+      progress({ step: 'upload_content', message: 'Waiting for code to be processed', attempt: i + 1, maxAttempts: 8 });
+      await delay(5000 * (i + 1));
+    } catch (error) {
+      if (i === 7) throw error;
+      await delay(5000 * (i + 1));
+    }
+  }
+
+  return { templateVersion: SCRIPT_TEMPLATE_VERSION };
+};
+
+// Step: snapshot the uploaded content as a version
+const createScriptVersion = async (oauth2Client, scriptId, progress = noProgress) => {
+  const script = scriptClient(oauth2Client);
+
+  console.log('[APPS_SCRIPT] Creating version...');
+  const versionResponse = await retryGoogleAPICall(() =>
+    script.projects.versions.create({
+      scriptId,
+      requestBody: {
+        description: `Sheet sync template ${SCRIPT_TEMPLATE_VERSION}`
+      }
+    })
+  );
+
+  const versionNumber = versionResponse.data.versionNumber;
+  console.log(`[APPS_SCRIPT] Created version: ${versionNumber}`);
+  progress({ step: 'create_version', message: 'Version created', versionNumber });
+  return { versionNumber };
+};
+
+// Step: deploy the version as a web app and resolve its URL
+const deployScript = async (oauth2Client, scriptId, versionNumber, progress = noProgress) => {
+  const script = scriptClient(oauth2Client);
+
+  console.log('[APPS_SCRIPT] Creating deployment...');
+  const deploymentResponse = await retryGoogleAPICall(() =>
+    script.projects.deployments.create({
+      scriptId,
+      requestBody: {
+        versionNumber: versionNumber,
+        manifestFileName: 'appsscript',
+        description: 'Web app deployment'
+      }
+    })
+  );
+
+  const deploymentId = deploymentResponse.data.deploymentId;
+  console.log(`[APPS_SCRIPT] Created deployment: ${deploymentId}`);
+  progress({ step: 'deploy', message: 'Deployment created', deploymentId });
+
+  console.log('[APPS_SCRIPT] Getting web app URL...');
+  await delay(30000); // Wait for deployment to propagate
+
+  const deploymentConfig = await retryGoogleAPICall(() =>
+    script.projects.deployments.get({ scriptId, deploymentId })
+  );
+
+  const webAppEntry = deploymentConfig.data.entryPoints?.find(e => e.entryPointType === 'WEB_APP');
+  if (!webAppEntry?.webApp?.url) {
+    throw new Error('Web app URL not found in deployment');
+  }
+
+  const webAppUrl = webAppEntry.webApp.url;
+  console.log(`[APPS_SCRIPT] Web app URL: ${webAppUrl}`);
+  progress({ step: 'deploy', message: 'Web app URL resolved' });
+  return { deploymentId, webAppUrl };
+};
+
+// Step: point an existing web app deployment at a new version. The
+// deployment id, and so the web app URL, stay the same.
+const updateDeployment = async (oauth2Client, scriptId, deploymentId, versionNumber, progress = noProgress) => {
+  const script = scriptClient(oauth2Client);
+
+  console.log(`[APPS_SCRIPT] Updating deployment ${deploymentId} to version ${versionNumber}...`);
+  const response = await retryGoogleAPICall(() =>
+    script.projects.deployments.update({
+      scriptId,
+      deploymentId,
+      requestBody: {
+        deploymentConfig: {
+          scriptId,
+          versionNumber,
+          manifestFileName: 'appsscript',
+          description: 'Web app deployment'
+        }
+      }
+    })
+  );
+
+  const webAppEntry = response.data.entryPoints?.find(e => e.entryPointType === 'WEB_APP');
+  if (!webAppEntry?.webApp?.url) {
+    throw new Error('Web app URL not found in deployment');
+  }
+
+  console.log(`[APPS_SCRIPT] Deployment ${deploymentId} now serves version ${versionNumber}`);
+  progress({ step: 'deploy', message: 'Deployment updated', deploymentId, versionNumber });
+  return { deploymentId, webAppUrl: webAppEntry.webApp.url };
+};
+
+// Step: hand the deployed script its configuration and request auto-activation
+const initializeScript = async ({ webAppUrl, userId, connectionId, connectionKey }, progress = noProgress) => {
+  console.log('[APPS_SCRIPT] Initializing script with auto-activation...');
+
+  const maxInitAttempts = 15;
+
+  for (let i = 0; i < maxInitAttempts; i++) {
+    try {
+      // Progressive wait time
+      if (i > 0) {
+        const waitTime = Math.min(30000 + (i * 15000), 180000);
+        console.log(`[APPS_SCRIPT] Waiting ${waitTime/1000}s before attempt ${i + 1}...`);
+        await delay(waitTime);
+      }
+
+      const initResponse = await axios.post(
+        webAppUrl,
+        {
+          secret: connectionKey,
+          backendApiUrl: process.env.API_BASE_URL,
+          userId: userId,
+          connectionId: connectionId.toString(),
+          autoActivate: true
+        },
+        {
+          timeout: 120000,
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log(`[APPS_SCRIPT] Init response:`, initResponse.data);
+
+      if (!initResponse.data || !initResponse.data.success) {
+        throw new Error(`Init failed: ${initResponse.data?.message || 'Unknown error'}`);
+      }
+
+      console.log('[APPS_SCRIPT] Initialization successful!');
+      progress({
+        step: 'initialize',
+        message: 'Script initialized',
+        delayedActivation: Boolean(initResponse.data.delayedActivation),
+        autoActivated: Boolean(initResponse.data.autoActivated)
+      });
+
+      // Check what type of activation was set up
+      if (initResponse.data.delayedActivation) {
+        console.log(`🕐 [APPS_SCRIPT] Delayed auto-activation scheduled for ${initResponse.data.activationDelay}`);
+        console.log('📋 [APPS_SCRIPT] User will see auto-activation when they open the sheet, or can activate manually');
+      } else if (initResponse.data.autoActivated) {
+        console.log('🚀 [APPS_SCRIPT] Immediate auto-activation successful! User setup is complete.');
+      } else {
+        console.log('⚠️ [APPS_SCRIPT] Auto-activation not attempted or failed. User will need to activate manually.');
+      }
+
+      return {
+        delayedActivation: Boolean(initResponse.data.delayedActivation),
+        autoActivated: Boolean(initResponse.data.autoActivated)
+      };
+
+    } catch (error) {
+      const errorMsg = error.response?.data?.message || error.message;
+      console.log(`[APPS_SCRIPT] Init attempt ${i + 1}/${maxInitAttempts} failed: ${errorMsg}`);
+      progress({ step: 'initialize', message: `Init attempt failed: ${errorMsg}`, attempt: i + 1, maxAttempts: maxInitAttempts });
+
+      if (i === maxInitAttempts - 1) {
+        throw new Error(`Failed to initialize after ${maxInitAttempts} attempts: ${errorMsg}`);
+      }
+    }
+  }
+};
+
+module.exports = {
+  SCRIPT_TEMPLATE_VERSION,
+  manifestContent,
+  createScriptProject,
+  uploadScriptContent,
+  createScriptVersion,
+  deployScript,
+  updateDeployment,
+  initializeScript
+};
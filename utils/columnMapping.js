@@ -0,0 +1,74 @@
+const { inputDataSchema, recordInputSchemas } = require('./validator');
+
+// Per-connection mapping from sheet headers ("Ceiling $", "RAG", "PM") to the
+// canonical inputDataSchema fields. Both the importer and /api/update run
+// rows through normalizeInputData before validation, so the Apps Script can
+// keep sending raw header names (see utils/rowIdentity.js).
+
+const CANONICAL_FIELDS = Object.keys(inputDataSchema.shape);
+
+// Canonical fields of a tab's record type (see recordInputSchemas)
+const fieldsForRecordType = (recordType = 'project') =>
+  Object.keys(recordInputSchemas[recordType]?.shape || {});
+
+const normalizeHeader = (header) => String(header).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Header lookup for a connection's columnMappings, matched case- and
+// whitespace-insensitively
+const buildHeaderLookup = (columnMappings = []) =>
+  new Map(columnMappings.map(({ header, field }) => [normalizeHeader(header), field]));
+
+// Renames mapped keys to their canonical field. Unmapped keys pass through.
+// When a mapped header and a canonical header are both present, the mapped
+// one wins.
+const normalizeInputData = (inputData, columnMappings) => {
+  const lookup = buildHeaderLookup(columnMappings);
+  if (!lookup.size || !inputData) return inputData;
+
+  const normalized = {};
+  const mapped = {};
+  for (const [key, value] of Object.entries(inputData)) {
+    const field = lookup.get(normalizeHeader(key));
+    if (field) {
+      mapped[field] = value;
+    } else {
+      normalized[key] = value;
+    }
+  }
+  return { ...normalized, ...mapped };
+};
+
+// Returns a list of problems with a proposed mapping, empty when valid
+const validateColumnMappings = (columnMappings, recordType = 'project') => {
+  if (!Array.isArray(columnMappings)) return ['mappings must be an array'];
+
+  const fields = fieldsForRecordType(recordType);
+  const problems = [];
+  const seenHeaders = new Set();
+  const seenFields = new Set();
+
+  columnMappings.forEach((mapping, i) => {
+    const header = typeof mapping?.header === 'string' ? mapping.header.trim() : '';
+    const field = mapping?.field;
+
+    if (!header) problems.push(`mappings[${i}].header must be a non-empty string`);
+    if (!fields.includes(field)) problems.push(`mappings[${i}].field "${field}" is not a ${recordType} field`);
+
+    const key = normalizeHeader(header);
+    if (header && seenHeaders.has(key)) problems.push(`mappings[${i}].header "${header}" is mapped more than once`);
+    if (seenFields.has(field)) problems.push(`mappings[${i}].field "${field}" is mapped more than once`);
+    seenHeaders.add(key);
+    seenFields.add(field);
+  });
+
+  return problems;
+};
+
+module.exports = {
+  CANONICAL_FIELDS,
+  fieldsForRecordType,
+  normalizeHeader,
+  buildHeaderLookup,
+  normalizeInputData,
+  validateColumnMappings
+};
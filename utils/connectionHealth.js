@@ -0,0 +1,87 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { setConnectionStatus } = require('./connectionStatus');
+
+// Whether a connection's Apps Script is alive. The script reports when it is
+// configured, when its edit trigger is installed or removed, and once an
+// hour. A deployed connection that stays silent for longer than the stale
+// window is flagged stale.
+
+const STALE_AFTER_MS = (Number(process.env.CONNECTION_STALE_AFTER_MINUTES) || 180) * 60 * 1000;
+
+// Statuses in which the script is deployed and expected to report
+const DEPLOYED_STATUSES = ['awaiting_activation', 'active'];
+
+const toTriggerState = ({ triggerActive, pendingActivation }) => {
+  if (triggerActive) return 'active';
+  return pendingActivation ? 'pending' : 'inactive';
+};
+
+/**
+ * Stores a heartbeat ({ event, triggerActive, pendingActivation,
+ * outboxPending?, rejectedRows? }) and clears the stale flag. The trigger
+ * is the one provisioning step that happens in the sheet, so its state
+ * also moves the connection between awaiting_activation and active, except
+ * that a drive_watch connection never falls back to awaiting_activation.
+ * Returns { triggerState, status }.
+ */
+const recordHeartbeat = async (connection, report) => {
+  const now = new Date();
+  const triggerState = toTriggerState(report);
+  const update = {
+    lastSeenAt: now,
+    lastHeartbeatEvent: report.event,
+    stale: false,
+    staleSince: null
+  };
+  if (report.outboxPending !== undefined) update.outboxPending = report.outboxPending;
+  if (report.rejectedRows !== undefined) update.rejectedRows = report.rejectedRows;
+  if (triggerState !== connection.triggerState) {
+    update.triggerState = triggerState;
+    update.triggerStateUpdatedAt = now;
+  }
+
+  await GoogleCredential.updateOne({ _id: connection._id }, { $set: update });
+  if (connection.stale) {
+    console.log(`[HEARTBEAT] Connection ${connection._id} reported again after being stale since ${connection.staleSince?.toISOString()}`);
+  }
+
+  let status = connection.status;
+  if (triggerState === 'active' && status === 'awaiting_activation') status = 'active';
+  // A drive_watch connection is active without the trigger; a leftover
+  // script only reports its own state
+  if (triggerState !== 'active' && status === 'active' && connection.changeSource !== 'drive_watch') status = 'awaiting_activation';
+  if (status !== connection.status) await setConnectionStatus(connection._id, status);
+
+  return { triggerState, status };
+};
+
+/**
+ * Flags deployed connections with no heartbeat within STALE_AFTER_MS. A
+ * connection whose script never reported is measured from its last status
+ * change. Returns the number of newly stale connections.
+ */
+const markStaleConnections = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - STALE_AFTER_MS);
+
+  const { modifiedCount } = await GoogleCredential.updateMany(
+    {
+      stale: { $ne: true },
+      status: { $in: DEPLOYED_STATUSES },
+      // Drive-watched connections have no script to report
+      changeSource: { $ne: 'drive_watch' },
+      $or: [
+        { lastSeenAt: { $lt: cutoff } },
+        { lastSeenAt: null, statusUpdatedAt: { $lt: cutoff } }
+      ]
+    },
+    { $set: { stale: true, staleSince: now } }
+  );
+
+  if (modifiedCount) {
+    console.warn(`[HEARTBEAT] ${modifiedCount} connection(s) sent no heartbeat in ${STALE_AFTER_MS / 60000} minutes; flagged stale`);
+  }
+  return modifiedCount;
+};
+
+module.exports = { STALE_AFTER_MS, recordHeartbeat, markStaleConnections };
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Connection keys look like "<connectionId>.<secret>". Only a SHA-256 hash of
+// the secret half is stored on the GoogleCredential, so a key can be revoked
+// or rotated per connection without touching any other tenant.
+
+const hashSecret = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateConnectionSecret = () => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, hash: hashSecret(secret) };
+};
+
+const formatConnectionKey = (connectionId, secret) => `${connectionId}.${secret}`;
+
+const parseConnectionKey = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const separator = token.indexOf('.');
+  if (separator <= 0) return null;
+
+  const connectionId = token.slice(0, separator);
+  const secret = token.slice(separator + 1);
+  if (!/^[a-f0-9]{24}$/i.test(connectionId) || !secret) return null;
+
+  return { connectionId, secret };
+};
+
+const verifyConnectionSecret = (secret, storedHash) => {
+  if (!secret || !storedHash) return false;
+
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  generateConnectionSecret,
+  formatConnectionKey,
+  parseConnectionKey,
+  verifyConnectionSecret
+};
@@ -0,0 +1,35 @@
+const GoogleCredential = require('../models/GoogleCredential');
+const { publishProvisioningEvent } = require('./provisioningEvents');
+
+// Connection provisioning moves through
+//   pending -> importing -> creating_script -> deploying -> initializing
+//     -> awaiting_activation | active
+// and ends in failed once the provisioning job gives up.
+
+const HISTORY_LIMIT = 50;
+
+const setConnectionStatus = async (connectionId, status) => {
+  const at = new Date();
+  await GoogleCredential.updateOne(
+    { _id: connectionId },
+    {
+      $set: { status, statusUpdatedAt: at },
+      $push: { statusHistory: { $each: [{ status, at }], $slice: -HISTORY_LIMIT } }
+    }
+  );
+  publishProvisioningEvent(connectionId, 'status', { status });
+};
+
+// Records the error of a provisioning attempt. The status only becomes
+// "failed" once no retry is left.
+const recordConnectionError = async (connectionId, error, { step, failed }) => {
+  await GoogleCredential.updateOne(
+    { _id: connectionId },
+    { $set: { lastError: { message: error.message, step: step || null, at: new Date() } } }
+  );
+  publishProvisioningEvent(connectionId, 'error', { message: error.message, step: step || null, willRetry: !failed });
+
+  if (failed) await setConnectionStatus(connectionId, 'failed');
+};
+
+module.exports = { setConnectionStatus, recordConnectionError };
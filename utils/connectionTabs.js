@@ -0,0 +1,143 @@
+const { RECORD_TYPES } = require('./validator');
+const { validateColumnMappings } = require('./columnMapping');
+
+// A connection syncs one or more tabs. Each tab is a sheet name plus an
+// optional A1 range ("A1:H", "K3:P500") whose first row holds the headers,
+// and carries its own record type and column mapping. Connections without
+// registered tabs sync the single sheet in sheetRange with the
+// connection-level columnMappings, as before tabs existed.
+
+// A -> 1, Z -> 26, AA -> 27, ...
+const letterToColumn = (letters) =>
+  letters.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+
+// Parses a tab range into sheet coordinates. lastColumn/lastRow are null
+// when the range is open-ended. Returns null for malformed ranges.
+const parseTabRange = (range) => {
+  if (!range) return { headerRow: 1, firstColumn: 1, lastColumn: null, lastRow: null };
+
+  const match = String(range).trim().match(/^([A-Z]+)(\d*):([A-Z]+)(\d*)$/i);
+  if (!match) return null;
+
+  const bounds = {
+    headerRow: match[2] ? Number(match[2]) : 1,
+    firstColumn: letterToColumn(match[1]),
+    lastColumn: letterToColumn(match[3]),
+    lastRow: match[4] ? Number(match[4]) : null
+  };
+  if (bounds.headerRow < 1 || bounds.lastColumn < bounds.firstColumn) return null;
+  if (bounds.lastRow !== null && bounds.lastRow <= bounds.headerRow) return null;
+  return bounds;
+};
+
+// Adds the derived label ("Risks" or "Risks!A1:F") and sheet bounds
+const describeTab = (tab) => {
+  const { sheetName, range = null, recordType = 'project', columnMappings = [] } = tab.toObject ? tab.toObject() : tab;
+  return {
+    sheetName,
+    range,
+    recordType,
+    columnMappings,
+    label: range ? `${sheetName}!${range}` : sheetName,
+    bounds: parseTabRange(range)
+  };
+};
+
+const getConnectionTabs = (connection) => {
+  if (connection.tabs?.length) return connection.tabs.map(describeTab);
+
+  return [describeTab({
+    sheetName: connection.sheetRange,
+    columnMappings: connection.columnMappings || []
+  })];
+};
+
+// Finds the tab an edit belongs to. column is optional; edits from older
+// Apps Script versions only carry the sheet name and row.
+const findTabForEdit = (connection, sheetName, row, column) =>
+  getConnectionTabs(connection).find(({ sheetName: name, bounds }) =>
+    name === sheetName &&
+    (row === undefined || (row > bounds.headerRow && (bounds.lastRow === null || row <= bounds.lastRow))) &&
+    (column === undefined || (column >= bounds.firstColumn && (bounds.lastColumn === null || column <= bounds.lastColumn)))
+  ) || null;
+
+// Tabs selected by a label or a sheet name, or every tab when none is given
+const selectTabs = (connection, tab) => {
+  const tabs = getConnectionTabs(connection);
+  return tab ? tabs.filter((t) => t.label === tab || t.sheetName === tab) : tabs;
+};
+
+const overlaps = (a, b) =>
+  a.firstColumn <= (b.lastColumn ?? Infinity) && b.firstColumn <= (a.lastColumn ?? Infinity);
+
+/**
+ * Validates a proposed tab list. Returns { tabs, problems } where tabs are
+ * ready to store when problems is empty. Ranges on the same sheet may not
+ * share columns, so every edited cell belongs to at most one tab.
+ */
+const validateTabs = (tabs, rowIdentity) => {
+  if (!Array.isArray(tabs) || !tabs.length) return { tabs: [], problems: ['tabs must be a non-empty array'] };
+
+  const problems = [];
+  const cleaned = tabs.map((tab, i) => {
+    const sheetName = typeof tab?.sheetName === 'string' ? tab.sheetName.trim() : '';
+    const range = typeof tab?.range === 'string' && tab.range.trim() ? tab.range.trim().toUpperCase() : null;
+    const recordType = tab?.recordType || 'project';
+    const columnMappings = tab?.columnMappings || [];
+
+    if (!sheetName) problems.push(`tabs[${i}].sheetName must be a non-empty string`);
+    if (!parseTabRange(range)) problems.push(`tabs[${i}].range "${tab?.range}" is not an A1 range such as A1:H`);
+    if (!RECORD_TYPES.includes(recordType)) {
+      problems.push(`tabs[${i}].recordType must be one of ${RECORD_TYPES.join(', ')}`);
+    } else {
+      validateColumnMappings(columnMappings, recordType).forEach((problem) => problems.push(`tabs[${i}].${problem}`));
+    }
+    if (rowIdentity?.mode === 'row_id' && range) {
+      problems.push(`tabs[${i}]: ranges are not supported with row_id identity; register the whole tab`);
+    }
+
+    return {
+      sheetName,
+      range,
+      recordType,
+      columnMappings: Array.isArray(columnMappings)
+        ? columnMappings.map(({ header, field }) => ({ header: String(header).trim(), field }))
+        : []
+    };
+  });
+
+  if (!problems.length) {
+    const described = cleaned.map(describeTab);
+    described.forEach((tab, i) => {
+      described.slice(0, i).forEach((other) => {
+        if (other.sheetName === tab.sheetName && overlaps(other.bounds, tab.bounds)) {
+          problems.push(`tabs[${i}] overlaps ${other.label}`);
+        }
+      });
+    });
+  }
+
+  return { tabs: cleaned, problems };
+};
+
+// Public shape of a tab, also what the Apps Script reads from /api/sync-config
+const toTabConfig = ({ sheetName, range, recordType, columnMappings, label, bounds }) => ({
+  label,
+  sheetName,
+  range,
+  recordType,
+  headerRow: bounds.headerRow,
+  firstColumn: bounds.firstColumn,
+  lastColumn: bounds.lastColumn,
+  lastRow: bounds.lastRow,
+  columnMappings: columnMappings.map(({ header, field }) => ({ header, field }))
+});
+
+module.exports = {
+  parseTabRange,
+  getConnectionTabs,
+  findTabForEdit,
+  selectTabs,
+  validateTabs,
+  toTabConfig
+};
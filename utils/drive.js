@@ -0,0 +1,27 @@
+const { google } = require('googleapis');
+const { retryGoogleAPICall } = require('./retry');
+
+const driveClient = (oauth2Client) => google.drive({ version: 'v3', auth: oauth2Client });
+
+/**
+ * Drive modifiedTime of the spreadsheet as a Date, or null when the grant
+ * cannot read file metadata (connections authorized before the Drive
+ * metadata scope was requested). Callers then treat the sheet as changed.
+ */
+const getModifiedTime = async (oauth2Client, spreadsheetId) => {
+  try {
+    const response = await retryGoogleAPICall(() =>
+      driveClient(oauth2Client).files.get({
+        fileId: spreadsheetId,
+        fields: 'modifiedTime',
+        supportsAllDrives: true
+      })
+    );
+    return response.data.modifiedTime ? new Date(response.data.modifiedTime) : null;
+  } catch (error) {
+    if (error.code === 403 || error.code === 404) return null;
+    throw error;
+  }
+};
+
+module.exports = { driveClient, getModifiedTime };
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const GoogleCredential = require('../models/GoogleCredential');
+const Job = require('../models/Job');
+const { enqueueJob } = require('./jobRunner');
+const { driveClient } = require('./drive');
+const { retryGoogleAPICall } = require('./retry');
+const { generateConnectionSecret, verifyConnectionSecret } = require('./connectionKeys');
+
+// Drive push notifications for "drive_watch" connections. Each connection
+// holds one files.watch channel on its spreadsheet; Drive posts to
+// DRIVE_WEBHOOK_URL (the public URL of /webhooks/google/drive) with the
+// channel id and the token we set, and a notification schedules a
+// drive_sync job that diffs the sheet (see utils/sheetDiffSync.js).
+// Channels on files expire after a day at most and are renewed by
+// jobs/driveWatchRenewal.js before that.
+
+const CHANNEL_TTL_MS = 24 * 60 * 60 * 1000;
+// Notifications arrive in bursts while someone types; one sync covers them
+const DRIVE_SYNC_DELAY_MS = Number(process.env.DRIVE_SYNC_DELAY_MS) || 30000;
+
+const getWebhookUrl = () => process.env.DRIVE_WEBHOOK_URL || null;
+
+/**
+ * Opens a new channel on the spreadsheet and stores it on the connection,
+ * then stops the channel it replaces. The plaintext token only travels to
+ * Drive; the connection keeps its hash.
+ */
+const startDriveWatch = async (oauth2Client, connection) => {
+  const address = getWebhookUrl();
+  if (!address) throw new Error('DRIVE_WEBHOOK_URL is not configured');
+
+  const { secret, hash } = generateConnectionSecret();
+  const response = await retryGoogleAPICall(() =>
+    driveClient(oauth2Client).files.watch({
+      fileId: connection.spreadsheetId,
+      supportsAllDrives: true,
+      requestBody: {
+        id: crypto.randomUUID(),
+        type: 'web_hook',
+        address,
+        token: secret,
+        expiration: String(Date.now() + CHANNEL_TTL_MS)
+      }
+    })
+  );
+
+  const previous = connection.driveWatch?.channelId ? connection.driveWatch : null;
+  const driveWatch = {
+    channelId: response.data.id,
+    resourceId: response.data.resourceId,
+    tokenHash: hash,
+    expiration: new Date(Number(response.data.expiration)),
+    lastNotificationAt: null,
+    lastError: null
+  };
+  await GoogleCredential.updateOne({ _id: connection._id }, { $set: { driveWatch } });
+  console.log(`[DRIVE_WATCH] Channel ${driveWatch.channelId} open for connection ${connection._id} until ${driveWatch.expiration.toISOString()}`);
+
+  if (previous) await stopChannel(oauth2Client, previous);
+  return driveWatch;
+};
+
+// Stops a channel. Drive answers 404 for channels that already expired.
+const stopChannel = async (oauth2Client, { channelId, resourceId }) => {
+  try {
+    await retryGoogleAPICall(() =>
+      driveClient(oauth2Client).channels.stop({ requestBody: { id: channelId, resourceId } })
+    );
+  } catch (error) {
+    if (error.code !== 404) {
+      console.warn(`[DRIVE_WATCH] Could not stop channel ${channelId}:`, error.message);
+    }
+  }
+};
+
+// Stops the connection's channel and forgets it
+const stopDriveWatch = async (oauth2Client, connection) => {
+  if (!connection.driveWatch?.channelId) return;
+  await stopChannel(oauth2Client, connection.driveWatch);
+  await GoogleCredential.updateOne({ _id: connection._id }, { $unset: { driveWatch: 1 } });
+};
+
+const verifyChannelToken = (driveWatch, token) =>
+  verifyConnectionSecret(token, driveWatch?.tokenHash);
+
+/**
+ * Queues a drive_sync job for the connection unless one is already waiting.
+ * Returns the job, or null when an existing job will cover the change.
+ */
+const scheduleDriveSync = async (connectionId) => {
+  if (await Job.exists({ connectionId, type: 'drive_sync', status: 'queued' })) return null;
+  return enqueueJob({
+    type: 'drive_sync',
+    connectionId,
+    maxAttempts: 3,
+    runAt: new Date(Date.now() + DRIVE_SYNC_DELAY_MS)
+  });
+};
+
+module.exports = {
+  getWebhookUrl,
+  startDriveWatch,
+  stopDriveWatch,
+  verifyChannelToken,
+  scheduleDriveSync
+};
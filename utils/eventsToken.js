@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// EventSource cannot set an Authorization header, so the provisioning
+// events stream (GET /api/connections/:id/events) also accepts ?token=.
+// Tokens look like the OAuth state: "<base64url payload>.<base64url HMAC>",
+// where the payload names one connection and an expiry. They are issued by
+// POST /api/connections/:id/events-token and only open that stream.
+
+const EVENTS_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const getSecret = () => {
+  const secret = process.env.OAUTH_STATE_SECRET;
+  if (!secret) throw new Error("OAUTH_STATE_SECRET not configured.");
+  return secret;
+};
+
+// The purpose is part of the signed text, so an OAuth state signed with the
+// same secret is never a valid events token
+const sign = (payload) =>
+  crypto.createHmac('sha256', getSecret()).update(`events:${payload}`).digest('base64url');
+
+const issueEventsToken = (connectionId) => {
+  const expiresAt = new Date(Date.now() + EVENTS_TOKEN_TTL_MS);
+  const payload = Buffer.from(JSON.stringify({ c: connectionId.toString(), exp: expiresAt.getTime() })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+};
+
+// Checks the signature and expiry. Returns { connectionId, expiresAt } or null.
+const verifyEventsToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+
+  if (!decoded?.c || typeof decoded.exp !== 'number' || decoded.exp <= Date.now()) {
+    return null;
+  }
+
+  return { connectionId: decoded.c, expiresAt: new Date(decoded.exp) };
+};
+
+module.exports = {
+  EVENTS_TOKEN_TTL_MS,
+  issueEventsToken,
+  verifyEventsToken
+};
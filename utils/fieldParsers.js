@@ -0,0 +1,266 @@
+// Coercions for the typed input_data fields. Each parser takes a raw cell
+// value and returns { value } on success or { error } with a message that
+// the schema reports against the field. Blank cells parse to null.
+
+// Date settings used when the spreadsheet's own are unknown (see
+// dateSettingsFor). SHEET_DATE_ORDER is how numeric dates such as 03/04/2025
+// are read: "MDY" (US) or "DMY". The time zone turns timestamps into
+// calendar dates: Apps Script sends Date cells as UTC instants, so a
+// midnight in the sheet's zone can fall on the previous UTC day.
+const DEFAULT_DATE_SETTINGS = {
+  dateOrder: process.env.SHEET_DATE_ORDER === 'DMY' ? 'DMY' : 'MDY',
+  timeZone: process.env.SHEET_TIME_ZONE || 'Asia/Kolkata'
+};
+
+// Google Sheets serial day 0 is 1899-12-30; 2958465 is 9999-12-31
+const SHEETS_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SERIAL_DAY = 2958465;
+
+const RAG_STATUSES = ['Red', 'Amber', 'Green'];
+const MILESTONE_STATUSES = ['Not Started', 'In Progress', 'Completed', 'Delayed', 'On Hold', 'Cancelled'];
+
+const RAG_ALIASES = {
+  r: 'Red',
+  red: 'Red',
+  a: 'Amber',
+  amber: 'Amber',
+  y: 'Amber',
+  yellow: 'Amber',
+  orange: 'Amber',
+  g: 'Green',
+  green: 'Green'
+};
+
+const MILESTONE_ALIASES = {
+  'not started': 'Not Started',
+  'not yet started': 'Not Started',
+  'to do': 'Not Started',
+  todo: 'Not Started',
+  planned: 'Not Started',
+  pending: 'Not Started',
+  'in progress': 'In Progress',
+  ongoing: 'In Progress',
+  started: 'In Progress',
+  wip: 'In Progress',
+  completed: 'Completed',
+  complete: 'Completed',
+  done: 'Completed',
+  achieved: 'Completed',
+  closed: 'Completed',
+  delayed: 'Delayed',
+  late: 'Delayed',
+  overdue: 'Delayed',
+  behind: 'Delayed',
+  'on hold': 'On Hold',
+  paused: 'On Hold',
+  blocked: 'On Hold',
+  cancelled: 'Cancelled',
+  canceled: 'Cancelled',
+  dropped: 'Cancelled'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CURRENCY_SYMBOLS = /[$€£¥₹₩₽₺₪₫฿₦₱]/g;
+const CURRENCY_CODE = /^[A-Z]{3}\s*|\s*[A-Z]{3}$/g;
+const MAGNITUDES = { k: 1e3, m: 1e6, mm: 1e6, b: 1e9, bn: 1e9 };
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// Returns YYYY-MM-DD when year/month/day name a real calendar day
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+};
+
+const expandYear = (year) => (year.length === 2 ? 2000 + Number(year) : Number(year));
+
+// en-CA formats as YYYY-MM-DD; one formatter per time zone
+const dateFormatters = new Map();
+const formatDateInTimeZone = (date, timeZone) => {
+  if (!dateFormatters.has(timeZone)) {
+    dateFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return dateFormatters.get(timeZone).format(date);
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// "DMY" when the locale writes the day before the month (en_GB, fr_FR...)
+const dateOrderForLocale = (locale) => {
+  try {
+    const parts = new Intl.DateTimeFormat(locale.replace(/_/g, '-'), { year: 'numeric', month: 'numeric', day: 'numeric' })
+      .formatToParts(new Date(Date.UTC(2001, 1, 3)))
+      .map(({ type }) => type);
+    return parts.indexOf('day') < parts.indexOf('month') ? 'DMY' : 'MDY';
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Date settings for a connection from the locale and time zone of its
+ * spreadsheet (Sheets "en_GB", "Europe/London"), falling back to the
+ * defaults for whatever is missing or unknown.
+ */
+const dateSettings = new Map();
+const dateSettingsFor = ({ sheetLocale, sheetTimeZone } = {}) => {
+  const cacheKey = `${sheetLocale}|${sheetTimeZone}`;
+  if (!dateSettings.has(cacheKey)) {
+    dateSettings.set(cacheKey, {
+      dateOrder: (sheetLocale && dateOrderForLocale(sheetLocale)) || DEFAULT_DATE_SETTINGS.dateOrder,
+      timeZone: sheetTimeZone && isTimeZone(sheetTimeZone) ? sheetTimeZone : DEFAULT_DATE_SETTINGS.timeZone
+    });
+  }
+  return dateSettings.get(cacheKey);
+};
+
+const fromSerial = (serial) => {
+  if (serial < 1 || serial > MAX_SERIAL_DAY) return null;
+  const date = new Date(SHEETS_EPOCH_MS + Math.floor(serial) * DAY_MS);
+  return toIsoDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+};
+
+// a/b/yyyy with either separator; a part above 12 settles the order
+const fromNumericDate = (first, second, year, dateOrder) => {
+  let [month, day] = dateOrder === 'DMY' ? [second, first] : [first, second];
+  if (month > 12 && day <= 12) [month, day] = [day, month];
+  return toIsoDate(year, month, day);
+};
+
+const monthFromName = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+/**
+ * Parses a date cell into an ISO calendar date (YYYY-MM-DD). Accepts Sheets
+ * serial numbers, ISO dates and timestamps, numeric dates and dates with
+ * month names. settings ({ dateOrder, timeZone }, see dateSettingsFor) say
+ * how to read numeric dates and timestamps.
+ */
+const parseDate = (value, settings = DEFAULT_DATE_SETTINGS) => {
+  if (isBlank(value)) return { value: null };
+  const { dateOrder, timeZone } = settings;
+
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? { error: 'Invalid date' }
+      : { value: formatDateInTimeZone(value, timeZone) };
+  }
+
+  if (typeof value === 'number') {
+    const iso = fromSerial(value);
+    return iso ? { value: iso } : { error: `${value} is not a valid spreadsheet date` };
+  }
+
+  const text = String(value).trim();
+  let iso = null;
+  let match;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    iso = fromSerial(Number(text));
+  } else if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    iso = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const date = new Date(text);
+    iso = Number.isNaN(date.getTime()) ? null : formatDateInTimeZone(date, timeZone);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/))) {
+    iso = fromNumericDate(Number(match[1]), Number(match[2]), expandYear(match[3]), dateOrder);
+  } else if ((match = text.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/))) {
+    iso = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  } else if ((match = text.match(/^([a-z]{3,9})\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/i))) {
+    iso = toIsoDate(Number(match[3]), monthFromName(match[1]), Number(match[2]));
+  } else if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[ -]([a-z]{3,9})\.?[\s,-]+(\d{4}|\d{2})$/i))) {
+    iso = toIsoDate(expandYear(match[3]), monthFromName(match[2]), Number(match[1]));
+  }
+
+  return iso ? { value: iso } : { error: `"${text}" is not a recognised date` };
+};
+
+// Lower-cases and collapses separators so "In-Progress" matches "in progress"
+const normalizeLabel = (value) => String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+const enumParser = (aliases, allowed, label) => (value) => {
+  if (isBlank(value)) return { value: null };
+  const match = aliases[normalizeLabel(value)];
+  return match
+    ? { value: match }
+    : { error: `"${value}" is not a valid ${label}; expected one of ${allowed.join(', ')}` };
+};
+
+const parseRagStatus = enumParser(RAG_ALIASES, RAG_STATUSES, 'RAG status');
+const parseMilestoneStatus = enumParser(MILESTONE_ALIASES, MILESTONE_STATUSES, 'milestone status');
+
+// Parses plain numbers such as hours: thousands separators and a trailing
+// % are allowed, anything else that is not a number is an error.
+const parseNumber = (value) => {
+  if (isBlank(value)) return { value: null };
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value } : { error: `${value} is not a number` };
+  }
+
+  const text = String(value).trim();
+  const cleaned = text.replace(/[,\s]/g, '').replace(/%$/, '');
+  return /^[-+]?\d*\.?\d+$/.test(cleaned)
+    ? { value: Number(cleaned) }
+    : { error: `"${text}" is not a number` };
+};
+
+/**
+ * Parses money cells: any common currency symbol or ISO code, thousands
+ * separators, "(1,200)" or a leading/trailing minus for negatives and
+ * k/M/B suffixes ("1.5M" -> 1500000).
+ */
+const parseCurrency = (value) => {
+  if (isBlank(value)) return { value: null };
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value } : { error: `${value} is not an amount` };
+  }
+
+  const text = String(value).trim();
+  let cleaned = text.replace(CURRENCY_CODE, '').replace(CURRENCY_SYMBOLS, '').replace(/[,\s]/g, '');
+  let sign = 1;
+
+  if (/^\(.*\)$/.test(cleaned)) {
+    sign = -1;
+    cleaned = cleaned.slice(1, -1);
+  }
+  if (/^-|-$/.test(cleaned)) {
+    sign = -sign;
+    cleaned = cleaned.replace(/^-|-$/, '');
+  }
+  cleaned = cleaned.replace(/^\+/, '');
+
+  const match = cleaned.match(/^(\d*\.?\d+)(k|mm|m|bn|b)?$/i);
+  if (!match) return { error: `"${text}" is not a valid amount` };
+
+  const multiplier = match[2] ? MAGNITUDES[match[2].toLowerCase()] : 1;
+  return { value: sign * Math.round(Number(match[1]) * multiplier * 100) / 100 };
+};
+
+module.exports = {
+  RAG_STATUSES,
+  MILESTONE_STATUSES,
+  dateSettingsFor,
+  parseDate,
+  parseRagStatus,
+  parseMilestoneStatus,
+  parseNumber,
+  parseCurrency
+};
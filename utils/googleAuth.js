@@ -0,0 +1,51 @@
+const { google } = require('googleapis');
+const GoogleCredential = require('../models/GoogleCredential');
+const { encryptTokens, decryptTokens, rewrapTokens } = require('./tokenCrypto');
+
+const createOAuth2Client = () =>
+  new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+
+// Writes every token refresh back to the connection so later jobs do not
+// start from an expired access token. Google omits the refresh_token on
+// refreshes, so new values are merged over the ones we already hold.
+const persistTokenRefreshes = (oauth2Client, connectionId, initialTokens) => {
+  let currentTokens = { ...initialTokens };
+
+  oauth2Client.on('tokens', async (refreshed) => {
+    currentTokens = { ...currentTokens, ...refreshed };
+    try {
+      await GoogleCredential.updateOne(
+        { _id: connectionId },
+        { $set: { googleTokens: encryptTokens(currentTokens), tokensRefreshedAt: new Date() } }
+      );
+      console.log(`[TOKENS] Persisted refreshed tokens for connection ${connectionId}`);
+    } catch (error) {
+      console.error(`[TOKENS] Failed to persist refreshed tokens for connection ${connectionId}:`, error.message);
+    }
+  });
+
+  return oauth2Client;
+};
+
+// Builds an authorized client for a stored connection. Records still in
+// plaintext or wrapped with a retired key are re-encrypted along the way.
+const getConnectionClient = async (connection) => {
+  const { tokens, needsRewrap } = decryptTokens(connection.googleTokens);
+
+  if (needsRewrap) {
+    await GoogleCredential.updateOne(
+      { _id: connection._id },
+      { $set: { googleTokens: rewrapTokens(connection.googleTokens) } }
+    );
+  }
+
+  const oauth2Client = createOAuth2Client();
+  oauth2Client.setCredentials(tokens);
+  return persistTokenRefreshes(oauth2Client, connection._id, tokens);
+};
+
+module.exports = { createOAuth2Client, persistTokenRefreshes, getConnectionClient };
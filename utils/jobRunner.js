@@ -0,0 +1,181 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+// Mongo-backed job runner. Workers claim jobs with an atomic findOneAndUpdate
+// that takes a lease (lockedBy/lockedUntil) and keep renewing it while the
+// handler runs. A job whose lease runs out, because its worker crashed or was
+// redeployed, is picked up again and resumes after its last checkpoint.
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const LEASE_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Thrown by handlers for failures that retrying cannot fix
+class NonRetryableJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NonRetryableJobError';
+  }
+}
+
+class LeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Lost the lease on job ${jobId}`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+const handlers = new Map();
+let activeJobs = 0;
+let ticking = false;
+let pollTimer = null;
+
+// onFailure(job, error, { willRetry }) is called after every failed attempt
+const registerJobHandler = (type, handler, { onFailure } = {}) => {
+  handlers.set(type, { handler, onFailure });
+};
+
+// runAt delays the first attempt, e.g. to let a burst of changes settle
+const enqueueJob = async ({ type, connectionId, params = {}, maxAttempts, runAt }) => {
+  const job = await Job.create({ type, connectionId, params, ...(maxAttempts && { maxAttempts }), ...(runAt && { runAt }) });
+  if (pollTimer) setImmediate(tick);
+  return job;
+};
+
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      status: { $in: ['queued', 'running'] },
+      runAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+      $min: { startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Updates the job only while this worker still holds its lease
+const updateOwnedJob = async (job, update) => {
+  const result = await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, update);
+  if (result.matchedCount === 0) throw new LeaseLostError(job._id);
+};
+
+const createContext = (job) => ({
+  job,
+  // Runs fn once per job. Its output is checkpointed and returned as-is on
+  // later attempts, so outputs must be plain JSON.
+  step: async (name, fn) => {
+    const done = job.checkpoints?.[name];
+    if (done) {
+      console.log(`[JOBS] Job ${job._id}: skipping completed step "${name}"`);
+      return done.output;
+    }
+
+    let output;
+    try {
+      output = (await fn()) ?? {};
+    } catch (error) {
+      if (error && !error.jobStep) error.jobStep = name;
+      throw error;
+    }
+
+    const checkpoint = { output, completedAt: new Date() };
+    await updateOwnedJob(job, { $set: { [`checkpoints.${name}`]: checkpoint } });
+    job.checkpoints = { ...job.checkpoints, [name]: checkpoint };
+    return output;
+  }
+});
+
+const backoffFor = (attempts) => Math.min(30000 * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+
+const runJob = async (job) => {
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } }
+    ).catch((error) => console.error(`[JOBS] Heartbeat failed for job ${job._id}:`, error.message));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  console.log(`[JOBS] Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  const registration = handlers.get(job.type);
+
+  try {
+    if (!registration) throw new NonRetryableJobError(`No handler registered for job type "${job.type}"`);
+
+    const result = await registration.handler(createContext(job));
+
+    await updateOwnedJob(job, {
+      $set: { status: 'completed', result: result ?? null, error: null, finishedAt: new Date(), lockedBy: null, lockedUntil: null }
+    });
+    console.log(`[JOBS] Completed ${job.type} job ${job._id}`);
+  } catch (error) {
+    if (error instanceof LeaseLostError) {
+      console.warn(`[JOBS] ${error.message}; another worker has taken over`);
+      return;
+    }
+
+    const retryable = !(error instanceof NonRetryableJobError) && job.attempts < job.maxAttempts;
+    const update = retryable
+      ? { status: 'queued', runAt: new Date(Date.now() + backoffFor(job.attempts)) }
+      : { status: 'failed', finishedAt: new Date() };
+
+    console.error(`[JOBS] ${job.type} job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+    await updateOwnedJob(job, {
+      $set: { ...update, error: error.message, lockedBy: null, lockedUntil: null }
+    }).catch((updateError) => console.error(`[JOBS] Could not record failure for job ${job._id}:`, updateError.message));
+
+    if (registration?.onFailure) {
+      await Promise.resolve(registration.onFailure(job, error, { willRetry: retryable }))
+        .catch((hookError) => console.error(`[JOBS] Failure hook for job ${job._id} threw:`, hookError.message));
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    while (activeJobs < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job).finally(() => {
+        activeJobs--;
+        setImmediate(tick);
+      });
+    }
+  } catch (error) {
+    console.error('[JOBS] Failed to poll for jobs:', error.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+const startJobRunner = () => {
+  if (pollTimer) return;
+  console.log(`[JOBS] Job runner ${WORKER_ID} started (concurrency ${CONCURRENCY})`);
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  setImmediate(tick);
+};
+
+module.exports = {
+  NonRetryableJobError,
+  registerJobHandler,
+  enqueueJob,
+  startJobRunner
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const OAuthState = require('../models/OAuthState');
+
+// State tokens look like "<base64url payload>.<base64url HMAC>". The payload
+// only carries the nonce and expiry; the user and sheet it was issued for
+// stay in the OAuthState collection so they cannot be edited by the caller.
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const STATE_COOKIE = 'oauth_state';
+
+const getSecret = () => {
+  const secret = process.env.OAUTH_STATE_SECRET;
+  if (!secret) throw new Error("OAUTH_STATE_SECRET not configured.");
+  return secret;
+};
+
+const sign = (value) =>
+  crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+
+const issueState = async ({ userId, sheetId, sheetRange, changeSource, previewFirst }) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + STATE_TTL_MS);
+
+  await OAuthState.create({
+    nonce,
+    userId,
+    spreadsheetId: sheetId,
+    sheetRange,
+    changeSource,
+    previewFirst: Boolean(previewFirst),
+    expiresAt
+  });
+
+  const payload = Buffer.from(JSON.stringify({ n: nonce, exp: expiresAt.getTime() })).toString('base64url');
+  return { state: `${payload}.${sign(payload)}`, expiresAt };
+};
+
+// Checks the signature and expiry without touching the database.
+// Returns { nonce, expiresAt } or null.
+const verifyState = (state) => {
+  if (typeof state !== 'string') return null;
+
+  const [payload, signature, ...rest] = state.split('.');
+  if (!payload || !signature || rest.length) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+
+  if (!decoded?.n || typeof decoded.exp !== 'number' || decoded.exp <= Date.now()) {
+    return null;
+  }
+
+  return { nonce: decoded.n, expiresAt: new Date(decoded.exp) };
+};
+
+// Marks the state as used and returns the stored document, or null when the
+// nonce is unknown, expired or already consumed.
+const consumeState = async (nonce) =>
+  OAuthState.findOneAndUpdate(
+    { nonce, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+module.exports = {
+  STATE_TTL_MS,
+  STATE_COOKIE,
+  issueState,
+  verifyState,
+  consumeState,
+  readCookie
+};
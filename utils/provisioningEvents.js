@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+// In-process fan-out of provisioning progress, keyed by connection id. The
+// SSE endpoint subscribes here; it also polls the stored status so clients
+// connected to another instance than the one running the job still see
+// every status transition, only without the finer-grained step events.
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const publishProvisioningEvent = (connectionId, type, data = {}) => {
+  emitter.emit(String(connectionId), {
+    type,
+    connectionId: String(connectionId),
+    at: new Date().toISOString(),
+    ...data
+  });
+};
+
+// Returns an unsubscribe function
+const subscribeProvisioningEvents = (connectionId, listener) => {
+  const key = String(connectionId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+module.exports = { publishProvisioningEvent, subscribeProvisioningEvents };
@@ -0,0 +1,41 @@
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const retryOperation = async (operation, maxRetries = 3, delayMs = 1000) => {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.name === 'MongoServerSelectionError' && i < maxRetries - 1) {
+        console.warn(`[RETRY_LOG] Database operation failed. Retrying in ${delayMs * (i + 1)}ms...`);
+        await delay(delayMs * (i + 1));
+      } else {
+        throw error;
+      }
+    }
+  }
+};
+
+const retryGoogleAPICall = async (apiCall, maxRetries = 5, baseDelayMs = 2000) => {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await apiCall();
+    } catch (error) {
+      const isRetryableError = 
+        error.code >= 500 || 
+        error.code === 429 || 
+        error.message?.includes('timeout') ||
+        error.message?.includes('INTERNAL_ERROR') ||
+        error.message?.includes('SERVICE_UNAVAILABLE');
+
+      if (isRetryableError && i < maxRetries - 1) {
+        const delayMs = baseDelayMs * Math.pow(2, i);
+        console.log(`[RETRY_LOG] Google API call failed (${error.message}). Retrying in ${delayMs}ms... (Attempt ${i + 1}/${maxRetries})`);
+        await delay(delayMs);
+      } else {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = { delay, retryOperation, retryGoogleAPICall };
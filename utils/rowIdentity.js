@@ -0,0 +1,86 @@
+const { normalizeInputData } = require('./columnMapping');
+const { findTabForEdit } = require('./connectionTabs');
+const { omitWriteBackColumns } = require('./writeBackColumns');
+const { localizeDates } = require('./sheetLocale');
+
+// How a row is identified downstream (project_identifier), per connection:
+//   project - input_data["Project"], falling back to "Unnamed Project" (legacy)
+//   columns - the values of rowIdentity.keyColumns joined with " | "
+//   row_id  - a UUID kept in a hidden ROW_ID_HEADER column of the sheet,
+//             written by the importer and by the Apps Script for new rows
+// In the columns and row_id modes a row without its key gets a null
+// identifier and must be rejected.
+
+const ROW_ID_HEADER = '_sync_row_id';
+const KEY_SEPARATOR = ' | ';
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Returns { identifier, input_data } where input_data no longer carries the
+// hidden row id column
+const identifyRow = (inputData, rowIdentity) => {
+  const { [ROW_ID_HEADER]: rowId, ...input_data } = inputData || {};
+  const mode = rowIdentity?.mode || 'project';
+
+  if (mode === 'row_id') {
+    return { identifier: isBlank(rowId) ? null : String(rowId).trim(), input_data };
+  }
+
+  if (mode === 'columns') {
+    const values = (rowIdentity.keyColumns || []).map((column) => input_data[column]);
+    const identifier = values.length && !values.some(isBlank)
+      ? values.map((value) => String(value).trim()).join(KEY_SEPARATOR)
+      : null;
+    return { identifier, input_data };
+  }
+
+  const project = input_data["Project"];
+  return { identifier: isBlank(project) ? "Unnamed Project" : project.toString(), input_data };
+};
+
+// Human readable reason for a row that identifyRow could not key
+const describeMissingKey = (rowIdentity) =>
+  rowIdentity?.mode === 'row_id'
+    ? `Row has no ${ROW_ID_HEADER} value`
+    : `Row is missing a value for key column(s): ${(rowIdentity?.keyColumns || []).join(', ')}`;
+
+// Normalizes an update payload sent by the Apps Script: the edit is routed
+// to its registered tab, headers go through that tab's column mapping and
+// project_identifier is re-derived server-side, since the script only knows
+// the raw "Project" header. Dates are read with the spreadsheet's locale.
+// Older scripts send the sheet name as sheet_range and no sheet_name.
+// Returns { payload, error, ignored } where ignored means the edit was made
+// outside every registered tab.
+const normalizeUpdatePayload = (payload, connection) => {
+  if (!payload?.input_data) return { payload, error: null, ignored: false };
+
+  const sheetName = payload.sheet_name || payload.sheet_range;
+  const tab = findTabForEdit(connection, sheetName, payload.row_index, payload.column_index);
+  if (!tab) return { payload, error: null, ignored: true };
+
+  const mapped = normalizeInputData(omitWriteBackColumns(payload.input_data, connection), tab.columnMappings);
+  const { identifier, input_data } = identifyRow(mapped, connection.rowIdentity);
+  if (identifier === null) {
+    return { payload, error: describeMissingKey(connection.rowIdentity), ignored: false };
+  }
+
+  const { column_index, ...rest } = payload;
+  return {
+    payload: {
+      ...rest,
+      sheet_name: tab.sheetName,
+      record_type: tab.recordType,
+      input_data: localizeDates(input_data, connection),
+      project_identifier: identifier
+    },
+    error: null,
+    ignored: false
+  };
+};
+
+module.exports = {
+  ROW_ID_HEADER,
+  identifyRow,
+  describeMissingKey,
+  normalizeUpdatePayload
+};
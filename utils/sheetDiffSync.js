@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const SheetSnapshotRow = require('../models/SheetSnapshotRow');
+const { sendUpdateMessages } = require('../sqs-service');
+const { selectTabs } = require('./connectionTabs');
+const { forEachSheetChunk } = require('./sheetImporter');
+
+// Syncs a sheet without the Apps Script: every tab is re-read, each row is
+// hashed and compared with the snapshot of the previous sync, and only rows
+// whose data changed are enqueued as updates. A connection without a
+// snapshot has every row sent once, so imports and resyncs take the
+// snapshot with enqueue: false right after sending the rows themselves.
+
+// Rows are keyed by tab and row identity, not by position, so sorting a tab
+// does not count as a change. Rows sharing an identity are told apart by
+// their order.
+const rowKey = (tab, identifier, occurrence) => JSON.stringify([tab.label, identifier, occurrence]);
+
+const hashRow = (row) =>
+  crypto.createHash('sha1').update(JSON.stringify([row.record_type, row.input_data])).digest('base64');
+
+// Snapshot writes per bulkWrite call
+const SNAPSHOT_WRITE_BATCH = 1000;
+
+// Upserts the rows whose hash changed and deletes the rows that are gone
+const saveSnapshot = async (connectionId, changedRows, removedKeys) => {
+  const takenAt = new Date();
+  for (let i = 0; i < changedRows.length; i += SNAPSHOT_WRITE_BATCH) {
+    await SheetSnapshotRow.bulkWrite(
+      changedRows.slice(i, i + SNAPSHOT_WRITE_BATCH).map(({ tab, key, hash }) => ({
+        updateOne: {
+          filter: { connectionId, key },
+          update: { $set: { tab, hash, takenAt } },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  }
+  for (let i = 0; i < removedKeys.length; i += SNAPSHOT_WRITE_BATCH) {
+    await SheetSnapshotRow.deleteMany({ connectionId, key: { $in: removedKeys.slice(i, i + SNAPSHOT_WRITE_BATCH) } });
+  }
+};
+
+/**
+ * Diffs the sheet against the last snapshot and queues the changed rows.
+ * Rows without a key (see utils/rowIdentity.js) cannot be updated and are
+ * only counted, like rows repeating the key of an earlier row. Rows that
+ * disappeared are counted in rowsRemoved; there is no delete message.
+ * Returns { rowsRead, rowsChanged, rowsQueued, rowsRejected, rowsRemoved,
+ * rowsUnkeyed, rowsDuplicate, baseline }. With enqueue: false only the
+ * snapshot is updated; with a tab (label or sheet name) only that tab is
+ * read.
+ */
+const syncChangedRows = async (oauth2Client, connection, { enqueue = true, tab: tabName } = {}) => {
+  const tabs = selectTabs(connection, tabName);
+  const stored = await SheetSnapshotRow.find(
+    { connectionId: connection._id, ...(tabName && { tab: { $in: tabs.map(({ label }) => label) } }) },
+    { key: 1, hash: 1 }
+  ).lean();
+  const previous = new Map(stored.map(({ key, hash }) => [key, hash]));
+  const seen = new Set();
+  const snapshotChanges = [];
+  const counts = { rowsRead: 0, rowsChanged: 0, rowsQueued: 0, rowsRejected: 0, rowsUnkeyed: 0, rowsDuplicate: 0 };
+
+  for (const tab of tabs) {
+    const occurrences = new Map();
+
+    await forEachSheetChunk(oauth2Client, connection, tab, {}, async (formattedData, headers, duplicates) => {
+      // Rows repeating an earlier row's key are not sent, as on import
+      counts.rowsRead += duplicates.length;
+      counts.rowsDuplicate += duplicates.length;
+      duplicates.forEach(({ row, firstRowIndex }) => {
+        console.warn(`[DIFF_SYNC] Row ${row.row_index} of "${tab.label}" repeats the key "${row.project_identifier}" of row ${firstRowIndex} on connection ${connection._id}`);
+      });
+
+      const changed = [];
+      formattedData.forEach((row) => {
+        counts.rowsRead += 1;
+        if (row.project_identifier === null) {
+          counts.rowsUnkeyed += 1;
+          return;
+        }
+
+        const occurrence = occurrences.get(row.project_identifier) || 0;
+        occurrences.set(row.project_identifier, occurrence + 1);
+        const key = rowKey(tab, row.project_identifier, occurrence);
+        const hash = hashRow(row);
+        seen.add(key);
+        if (previous.get(key) === hash) return;
+        changed.push({ row, change: { tab: tab.label, key, hash } });
+      });
+
+      if (!changed.length) return;
+      if (!enqueue) {
+        snapshotChanges.push(...changed.map(({ change }) => change));
+        return;
+      }
+
+      // Rows the queue refused are stored as failed messages for replay, and
+      // keep their old hash so the next sync sends them again
+      const { accepted, rejected } = await sendUpdateMessages(changed.map(({ row }) => row));
+      const acceptedRows = new Set(accepted.map(({ row }) => row));
+      snapshotChanges.push(...changed.filter(({ row }) => acceptedRows.has(row)).map(({ change }) => change));
+      counts.rowsChanged += changed.length;
+      counts.rowsQueued += accepted.length;
+      counts.rowsRejected += rejected.filter((r) => r.type === 'validation').length;
+    });
+  }
+
+  const removedKeys = [...previous.keys()].filter((key) => !seen.has(key));
+  await saveSnapshot(connection._id, snapshotChanges, removedKeys);
+
+  return { ...counts, rowsRemoved: removedKeys.length, baseline: !stored.length };
+};
+
+module.exports = { rowKey, hashRow, syncChangedRows };
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const GoogleCredential = require('../models/GoogleCredential');
+const { sendBulkImportMessages, recordFailedMessages } = require('../sqs-service');
+const { retryOperation, retryGoogleAPICall } = require('./retry');
+const { normalizeInputData } = require('./columnMapping');
+const { ROW_ID_HEADER, identifyRow, describeMissingKey } = require('./rowIdentity');
+const { selectTabs } = require('./connectionTabs');
+const { omitWriteBackColumns } = require('./writeBackColumns');
+const { refreshSheetLocale, localizeDates } = require('./sheetLocale');
+
+// Rows fetched per values.get call. Each chunk is formatted and handed off
+// before the next one is read, so memory stays bounded on large sheets.
+const CHUNK_ROWS = Number(process.env.SHEET_IMPORT_CHUNK_ROWS) || 500;
+
+// 1 -> A, 26 -> Z, 27 -> AA, ...
+const columnToLetter = (column) => {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+const quoteSheetName = (name) => `'${name.replace(/'/g, "''")}'`;
+
+// Formats a sheet tab name plus grid coordinates as an A1 range.
+const toA1Range = (sheetName, startRow, endRow, lastColumn, firstColumn = 1) =>
+  `${quoteSheetName(sheetName)}!${columnToLetter(firstColumn)}${startRow}:${columnToLetter(lastColumn)}${endRow}`;
+
+const toA1Cell = (sheetName, row, column) =>
+  `${quoteSheetName(sheetName)}!${columnToLetter(column)}${row}`;
+
+// Returns the grid id and size of a tab from the spreadsheet metadata.
+const getSheetDimensions = async (sheets, spreadsheetId, sheetName) => {
+  const response = await retryGoogleAPICall(() =>
+    sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties(sheetId,title,gridProperties(rowCount,columnCount))'
+    })
+  );
+
+  const sheet = response.data.sheets?.find((s) => s.properties?.title === sheetName);
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found in spreadsheet ${spreadsheetId}`);
+  }
+
+  const { rowCount = 0, columnCount = 0 } = sheet.properties.gridProperties || {};
+  return { sheetId: sheet.properties.sheetId, rowCount, columnCount };
+};
+
+// Makes sure the tab has a hidden ROW_ID_HEADER column and returns its
+// 0-based index. A missing column is added after the last column holding
+// any data, so a column of values without a header is never overwritten.
+// Only whole tabs are keyed by row id (see validateTabs).
+const ensureRowIdColumn = async (sheets, connection, tab, dimensions, headers) => {
+  const existing = headers.findIndex((header) => header?.toString().trim() === ROW_ID_HEADER);
+  if (existing !== -1) return existing;
+
+  let index = headers.length;
+  if (index < dimensions.columnCount) {
+    // Trailing empty columns are left out of the response
+    const response = await retryGoogleAPICall(() =>
+      sheets.spreadsheets.values.get({
+        spreadsheetId: connection.spreadsheetId,
+        range: toA1Range(tab.sheetName, tab.bounds.headerRow, dimensions.rowCount, dimensions.columnCount, index + 1),
+        majorDimension: 'COLUMNS'
+      })
+    );
+    index += response.data.values?.length || 0;
+  }
+  const requests = [];
+  if (index >= dimensions.columnCount) {
+    requests.push({ appendDimension: { sheetId: dimensions.sheetId, dimension: 'COLUMNS', length: 1 } });
+  }
+  requests.push({
+    updateDimensionProperties: {
+      range: { sheetId: dimensions.sheetId, dimension: 'COLUMNS', startIndex: index, endIndex: index + 1 },
+      properties: { hiddenByUser: true },
+      fields: 'hiddenByUser'
+    }
+  });
+
+  await retryGoogleAPICall(() =>
+    sheets.spreadsheets.batchUpdate({ spreadsheetId: connection.spreadsheetId, requestBody: { requests } })
+  );
+  await retryGoogleAPICall(() =>
+    sheets.spreadsheets.values.update({
+      spreadsheetId: connection.spreadsheetId,
+      range: toA1Cell(tab.sheetName, 1, index + 1),
+      valueInputOption: 'RAW',
+      requestBody: { values: [[ROW_ID_HEADER]] }
+    })
+  );
+
+  console.log(`[IMPORT] Added ${ROW_ID_HEADER} column to "${tab.sheetName}" for connection ${connection._id}`);
+  // Unheaded columns skipped over are read as column_N from now on
+  while (headers.length < index) headers.push('');
+  headers.push(ROW_ID_HEADER);
+  return index;
+};
+
+const isBlankRow = (row, ignoreIndex) =>
+  row.every((value, i) => i === ignoreIndex || value === null || value === undefined || String(value).trim() === '');
+
+// Writes a new row id into every non-blank row of the chunk that lacks one,
+// and into every row repeating an id of an earlier row (a copied row keeps
+// the id of its original). seenIds carries the ids of the tab's earlier
+// chunks. API writes do not fire the Apps Script onEdit trigger.
+const assignMissingRowIds = async (sheets, connection, tab, dataRows, firstRowIndex, idIndex, seenIds) => {
+  const data = [];
+  let duplicates = 0;
+
+  dataRows.forEach((row, i) => {
+    if (isBlankRow(row, idIndex)) return;
+    const current = row[idIndex];
+    const currentId = current === undefined || current === null ? '' : String(current).trim();
+    if (currentId !== '' && !seenIds.has(currentId)) {
+      seenIds.add(currentId);
+      return;
+    }
+    if (currentId !== '') duplicates += 1;
+
+    const rowId = crypto.randomUUID();
+    row[idIndex] = rowId;
+    seenIds.add(rowId);
+    data.push({ range: toA1Cell(tab.sheetName, firstRowIndex + i, idIndex + 1), values: [[rowId]] });
+  });
+
+  if (!data.length) return;
+  if (duplicates) {
+    console.warn(`[IMPORT] Replaced ${duplicates} duplicate ${ROW_ID_HEADER} value(s) in "${tab.sheetName}" for connection ${connection._id}`);
+  }
+
+  await retryGoogleAPICall(() =>
+    sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: connection.spreadsheetId,
+      requestBody: { valueInputOption: 'RAW', data }
+    })
+  );
+};
+
+// Turns raw sheet rows into bulk-import messages, with headers renamed
+// through the tab's column mapping. firstRowIndex is the sheet row number
+// of dataRows[0]. Rows whose key is missing get a null project_identifier
+// (see utils/rowIdentity.js). Blank rows are skipped unless the connection
+// still uses the legacy "project" identity. Write-back columns are dropped
+// and dates are read with the spreadsheet's locale (utils/sheetLocale.js).
+const formatRows = ({ connection, tab, headers, dataRows, firstRowIndex, range }) => {
+  const keyed = (connection.rowIdentity?.mode || 'project') !== 'project';
+
+  return dataRows.flatMap((row, index) => {
+    if (keyed && isBlankRow(row)) return [];
+
+    const rawData = {};
+    headers.forEach((header, i) => {
+      const key = header?.toString().trim() || `column_${i}`;
+      if (key) {
+        rawData[key] = row[i] || null;
+      }
+    });
+    const { identifier, input_data } = identifyRow(
+      normalizeInputData(omitWriteBackColumns(rawData, connection), tab.columnMappings),
+      connection.rowIdentity
+    );
+
+    return [{
+      connectionId: connection._id.toString(),
+      userId: connection.userId.toString(),
+      spreadsheet_id: connection.spreadsheetId,
+      sheet_range: range,
+      sheet_name: tab.sheetName,
+      record_type: tab.recordType,
+      row_index: firstRowIndex + index,
+      project_identifier: identifier,
+      sync_timestamp: new Date().toISOString(),
+      input_data: localizeDates(input_data, connection)
+    }];
+  });
+};
+
+// Pages through one tab (see utils/connectionTabs.js) CHUNK_ROWS rows at a
+// time and calls onChunk with the formatted messages of each page, the
+// header row and the page's duplicates: in the columns and row_id modes a
+// row whose key an earlier row of the tab already has is left out of the
+// messages and listed as { row, firstRowIndex } instead. startRow/endRow are sheet row numbers (inclusive) and default
+// to the whole tab below its header row. With readOnly the sheet is never
+// written to, so row_id connections do not get the id column or new row
+// ids. Resolves to the header row, empty when the tab has no data.
+const forEachSheetChunk = async (oauth2Client, connection, tab, { startRow, endRow } = {}, onChunk, { readOnly = false } = {}) => {
+  const sheets = google.sheets({ version: 'v4', auth: oauth2Client });
+  const { spreadsheetId } = connection;
+  const { headerRow, firstColumn, lastColumn: rangeLastColumn, lastRow: rangeLastRow } = tab.bounds;
+
+  const dimensions = await getSheetDimensions(sheets, spreadsheetId, tab.sheetName);
+  const { rowCount, columnCount } = dimensions;
+  const lastColumn = Math.min(rangeLastColumn || columnCount, columnCount);
+  if (rowCount < headerRow || lastColumn < firstColumn) return [];
+
+  const headerResponse = await retryGoogleAPICall(() =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: toA1Range(tab.sheetName, headerRow, headerRow, lastColumn, firstColumn)
+    })
+  );
+  const headers = headerResponse.data.values?.[0] || [];
+  if (!headers.length) return headers;
+
+  let idIndex = -1;
+  if (connection.rowIdentity?.mode === 'row_id' && !readOnly) {
+    idIndex = await ensureRowIdColumn(sheets, connection, tab, dimensions, headers);
+  }
+  const seenIds = new Set();
+  const keyed = (connection.rowIdentity?.mode || 'project') !== 'project';
+  const firstRowByKey = new Map();
+
+  const lastRow = Math.min(endRow || rowCount, rangeLastRow || rowCount, rowCount);
+  for (let chunkStart = Math.max(startRow || 0, headerRow + 1); chunkStart <= lastRow; chunkStart += CHUNK_ROWS) {
+    const chunkEnd = Math.min(chunkStart + CHUNK_ROWS - 1, lastRow);
+    const range = toA1Range(tab.sheetName, chunkStart, chunkEnd, firstColumn + headers.length - 1, firstColumn);
+
+    const dataResponse = await retryGoogleAPICall(() =>
+      sheets.spreadsheets.values.get({ spreadsheetId, range })
+    );
+    const dataRows = dataResponse.data.values || [];
+    if (!dataRows.length) continue;
+
+    if (idIndex !== -1) {
+      await assignMissingRowIds(sheets, connection, tab, dataRows, chunkStart, idIndex, seenIds);
+    }
+
+    const duplicates = [];
+    const formattedData = formatRows({ connection, tab, headers, dataRows, firstRowIndex: chunkStart, range })
+      .filter((row) => {
+        if (!keyed || row.project_identifier === null) return true;
+        const firstRowIndex = firstRowByKey.get(row.project_identifier);
+        if (firstRowIndex === undefined) {
+          firstRowByKey.set(row.project_identifier, row.row_index);
+          return true;
+        }
+        duplicates.push({ row, firstRowIndex });
+        return false;
+      });
+    if (formattedData.length || duplicates.length) await onChunk(formattedData, headers, duplicates);
+  }
+
+  return headers;
+};
+
+// Rejected rows kept in import results; the counts always cover all of them
+const MAX_REPORTED_REJECTIONS = 100;
+
+// Reads every tab of the connection (or only rowWindow.tab, and only
+// rows startRow-endRow of it) and enqueues the rows chunk by chunk.
+// onProgress, if given, is called after each chunk with the running counts.
+// Returns { rowsRead, rowsQueued, rowsRejected, rejected }.
+const importSheet = async (oauth2Client, connection, rowWindow = {}, onProgress) => {
+  let rowsRead = 0;
+  let rowsQueued = 0;
+  let rowsRejected = 0;
+  const rejected = [];
+
+  const tabs = selectTabs(connection, rowWindow.tab);
+  if (!tabs.length) {
+    throw new Error(`Tab "${rowWindow.tab}" is not registered on connection ${connection._id}`);
+  }
+  // The locale can change between imports; edits and diff syncs use the
+  // stored one
+  await refreshSheetLocale(oauth2Client, connection);
+
+  for (const tab of tabs) {
+    await forEachSheetChunk(oauth2Client, connection, tab, rowWindow, async (formattedData, headers, duplicates) => {
+      const keyedRows = formattedData.filter((row) => row.project_identifier !== null);
+      const unsent = [
+        ...formattedData
+          .filter((row) => row.project_identifier === null)
+          .map((row) => ({
+            row,
+            type: 'validation',
+            reason: 'MissingRowKey',
+            message: describeMissingKey(connection.rowIdentity)
+          })),
+        // Sending both rows would let the later one overwrite the earlier
+        ...duplicates.map(({ row, firstRowIndex }) => ({
+          row,
+          type: 'validation',
+          reason: 'DuplicateRowKey',
+          message: `Row key "${row.project_identifier}" is already used by row ${firstRowIndex}`
+        }))
+      ];
+      await recordFailedMessages('bulk_import', unsent.map(({ row, ...failure }) => ({ payload: row, ...failure })));
+
+      const result = keyedRows.length
+        ? await sendBulkImportMessages(keyedRows)
+        : { accepted: [], rejected: [] };
+      const chunkRejected = [
+        ...unsent.map(({ row, ...failure }) => ({ row_index: row.row_index, sheet_name: row.sheet_name, project_identifier: row.project_identifier, ...failure })),
+        ...result.rejected
+      ];
+
+      const chunkRows = [...formattedData, ...duplicates.map(({ row }) => row)].map((row) => row.row_index);
+      rowsRead += chunkRows.length;
+      rowsQueued += result.accepted.length;
+      rowsRejected += chunkRejected.length;
+      rejected.push(...chunkRejected.slice(0, MAX_REPORTED_REJECTIONS - rejected.length));
+
+      const lastRow = Math.max(...chunkRows);
+      console.log(`[IMPORT] Queued ${result.accepted.length}/${chunkRows.length} rows ${Math.min(...chunkRows)}-${lastRow} of "${tab.label}" for connection ${connection._id}`);
+      onProgress?.({ rowsRead, rowsQueued, rowsRejected, lastRow, tab: tab.label });
+    });
+  }
+
+  if (rowsQueued > 0) {
+    await retryOperation(() =>
+      GoogleCredential.findByIdAndUpdate(connection._id, { $set: { lastSyncAt: new Date() } })
+    );
+  }
+
+  return { rowsRead, rowsQueued, rowsRejected, rejected };
+};
+
+module.exports = {
+  columnToLetter,
+  toA1Range,
+  toA1Cell,
+  getSheetDimensions,
+  formatRows,
+  forEachSheetChunk,
+  importSheet
+};
@@ -0,0 +1,50 @@
+const { google } = require('googleapis');
+const GoogleCredential = require('../models/GoogleCredential');
+const { retryGoogleAPICall } = require('./retry');
+const { dateSettingsFor, parseDate } = require('./fieldParsers');
+const { DATE_FIELDS } = require('./validator');
+
+// Dates are read the way the spreadsheet writes them: "03/04/2025" is
+// 4 March in an en_US sheet and 3 April in an en_GB one. The locale and
+// time zone come from the spreadsheet properties and are stored on the
+// connection.
+
+/**
+ * Reads the spreadsheet's locale and time zone and stores them on the
+ * connection (the passed document is updated too). Returns
+ * { sheetLocale, sheetTimeZone }.
+ */
+const refreshSheetLocale = async (oauth2Client, connection) => {
+  const sheets = google.sheets({ version: 'v4', auth: oauth2Client });
+  const response = await retryGoogleAPICall(() =>
+    sheets.spreadsheets.get({
+      spreadsheetId: connection.spreadsheetId,
+      fields: 'properties(locale,timeZone)'
+    })
+  );
+
+  const sheetLocale = response.data.properties?.locale || null;
+  const sheetTimeZone = response.data.properties?.timeZone || null;
+  if (sheetLocale !== connection.sheetLocale || sheetTimeZone !== connection.sheetTimeZone) {
+    await GoogleCredential.updateOne({ _id: connection._id }, { $set: { sheetLocale, sheetTimeZone } });
+    connection.sheetLocale = sheetLocale;
+    connection.sheetTimeZone = sheetTimeZone;
+  }
+  return { sheetLocale, sheetTimeZone };
+};
+
+// Rewrites the date fields of input_data that parse with the connection's
+// date settings as ISO dates. Anything else is left for the schema to
+// report.
+const localizeDates = (inputData, connection) => {
+  const settings = dateSettingsFor(connection);
+  const localized = { ...inputData };
+  DATE_FIELDS.forEach((field) => {
+    if (!(field in localized)) return;
+    const { value, error } = parseDate(localized[field], settings);
+    if (!error) localized[field] = value;
+  });
+  return localized;
+};
+
+module.exports = { refreshSheetLocale, localizeDates };
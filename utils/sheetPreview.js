@@ -0,0 +1,192 @@
+const { bulkImportRowSchema, recordInputSchemas } = require('./validator');
+const { fieldsForRecordType, normalizeHeader, buildHeaderLookup } = require('./columnMapping');
+const { ROW_ID_HEADER, describeMissingKey } = require('./rowIdentity');
+const { columnToLetter, forEachSheetChunk } = require('./sheetImporter');
+const { selectTabs } = require('./connectionTabs');
+const { isWriteBackHeader } = require('./writeBackColumns');
+
+// Dry run of an import: the sheet is read and every row goes through the
+// same formatRows + bulkImportRowSchema path as importSheet, but nothing is
+// written to the sheet or sent to the queue.
+
+// Rows listed in a preview; the summary counts always cover all of them
+const MAX_REPORTED_ROWS = 500;
+
+// Loose form used to suggest mappings: "project status rag" for
+// "Project Status (RAG)"
+const looseKey = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Fields a row of this record type cannot leave empty
+const isRequiredField = (recordType, field) =>
+  !recordInputSchemas[recordType].shape[field].safeParse(undefined).success;
+
+// Describes each column of a tab: its header, the field it feeds after the
+// column mapping and its letter
+const describeColumns = (headers, tab) => {
+  const lookup = buildHeaderLookup(tab.columnMappings);
+  return headers.map((header, i) => {
+    const key = header?.toString().trim() || `column_${i}`;
+    return { column: columnToLetter(tab.bounds.firstColumn + i), header: key, field: lookup.get(normalizeHeader(key)) || key };
+  });
+};
+
+// Compares a tab's header row with the fields of its record type, its
+// column mapping and the row identity settings
+const checkHeaders = (columns, connection, tab) => {
+  const canonicalFields = fieldsForRecordType(tab.recordType);
+  const fields = new Set(columns.map((c) => c.field));
+  const sheetHeaders = new Set(columns.map((c) => normalizeHeader(c.header)));
+  const canonicalByLooseKey = new Map(canonicalFields.map((field) => [looseKey(field), field]));
+  const seen = new Map();
+
+  const unknownHeaders = [];
+  const duplicateHeaders = [];
+  const blankHeaders = [];
+
+  columns.forEach(({ column, header, field }, i) => {
+    if (!header || header === `column_${i}`) {
+      blankHeaders.push(column);
+      return;
+    }
+    if (seen.has(field)) {
+      duplicateHeaders.push({ column, header, field, firstColumn: seen.get(field) });
+    } else {
+      seen.set(field, column);
+    }
+    if (!canonicalFields.includes(field) && header !== ROW_ID_HEADER && !isWriteBackHeader(connection, header)) {
+      const suggestion = canonicalByLooseKey.get(looseKey(header));
+      unknownHeaders.push({ column, header, suggestedField: suggestion && !fields.has(suggestion) ? suggestion : null });
+    }
+  });
+
+  const mode = connection.rowIdentity?.mode || 'project';
+  return {
+    columns,
+    unknownHeaders,
+    missingFields: canonicalFields
+      .filter((field) => !fields.has(field))
+      .map((field) => ({ field, required: isRequiredField(tab.recordType, field) })),
+    duplicateHeaders,
+    blankHeaders,
+    unusedMappings: tab.columnMappings
+      .filter(({ header }) => !sheetHeaders.has(normalizeHeader(header)))
+      .map(({ header, field }) => ({ header, field })),
+    missingKeyColumns: mode === 'columns'
+      ? (connection.rowIdentity.keyColumns || []).filter((column) => !fields.has(column))
+      : [],
+    rowIdColumnMissing: mode === 'row_id' && !fields.has(ROW_ID_HEADER)
+  };
+};
+
+// Validates one formatted row. duplicateOf is the earlier row with the same
+// key, if any. Returns its report, or null when the row would be queued as
+// is.
+const checkRow = (row, connection, columnsByField, duplicateOf) => {
+  const mode = connection.rowIdentity?.mode || 'project';
+  const issues = [];
+  const notes = [];
+
+  if (duplicateOf !== undefined) {
+    if (mode === 'row_id') {
+      notes.push(`The ${ROW_ID_HEADER} value repeats row ${duplicateOf} and will be replaced on import`);
+    } else {
+      issues.push({ column: null, header: null, field: null, code: 'duplicate_key', message: `Row key "${row.project_identifier}" is already used by row ${duplicateOf}` });
+    }
+  }
+
+  if (row.project_identifier === null) {
+    if (mode === 'row_id') {
+      notes.push(`A ${ROW_ID_HEADER} value will be assigned on import`);
+    } else {
+      issues.push({ column: null, header: null, field: null, code: 'missing_key', message: describeMissingKey(connection.rowIdentity) });
+    }
+  }
+
+  // A placeholder key keeps a missing identifier from being reported twice
+  const parsed = bulkImportRowSchema.safeParse({ ...row, project_identifier: row.project_identifier ?? '' });
+  if (!parsed.success) {
+    parsed.error.issues.forEach((issue) => {
+      const field = issue.path[0] === 'input_data' ? issue.path[1] : issue.path.join('.');
+      const column = columnsByField.get(field);
+      issues.push({
+        column: column?.column || null,
+        header: column?.header || null,
+        field,
+        code: issue.code,
+        message: issue.message
+      });
+    });
+  }
+
+  const unnamedProject = mode === 'project' && row.project_identifier === 'Unnamed Project';
+  if (!issues.length && !notes.length && !unnamedProject) return null;
+
+  return {
+    row_index: row.row_index,
+    project_identifier: row.project_identifier,
+    valid: issues.length === 0,
+    unnamedProject,
+    issues,
+    notes
+  };
+};
+
+// Previews one tab. Returns { headers, summary, rows, truncated }.
+const previewTab = async (oauth2Client, connection, tab, rowWindow) => {
+  const summary = { rowsRead: 0, validRows: 0, invalidRows: 0, unnamedProjectRows: 0, issuesByField: {} };
+  const rows = [];
+  let flaggedRows = 0;
+  let columnsByField = null;
+
+  const headers = await forEachSheetChunk(oauth2Client, connection, tab, rowWindow, async (formattedData, headerRow, duplicates) => {
+    if (!columnsByField) {
+      columnsByField = new Map(describeColumns(headerRow, tab).map((c) => [c.field, c]));
+    }
+
+    const firstRowByDuplicate = new Map(duplicates.map(({ row, firstRowIndex }) => [row, firstRowIndex]));
+    [...formattedData, ...firstRowByDuplicate.keys()].forEach((row) => {
+      const report = checkRow(row, connection, columnsByField, firstRowByDuplicate.get(row));
+      summary.rowsRead += 1;
+
+      if (!report || report.valid) summary.validRows += 1;
+      if (!report) return;
+
+      if (!report.valid) summary.invalidRows += 1;
+      if (report.unnamedProject) summary.unnamedProjectRows += 1;
+      report.issues.forEach(({ field }) => {
+        const key = field || 'row key';
+        summary.issuesByField[key] = (summary.issuesByField[key] || 0) + 1;
+      });
+      flaggedRows += 1;
+      if (rows.length < MAX_REPORTED_ROWS) rows.push(report);
+    });
+  }, { readOnly: true });
+
+  return {
+    headers: checkHeaders(describeColumns(headers, tab), connection, tab),
+    summary,
+    rows,
+    truncated: flaggedRows > rows.length
+  };
+};
+
+/**
+ * Previews an import of the connection's tabs, or of one tab and a row
+ * window of it (rowWindow: { tab, startRow, endRow }). Returns
+ * { tabs: [{ tab, recordType, headers, summary, rows, truncated }] } where
+ * rows lists every row with validation issues, a missing or repeated key
+ * or an "Unnamed Project" identifier.
+ */
+const previewSheet = async (oauth2Client, connection, rowWindow = {}) => {
+  const tabs = [];
+  for (const tab of selectTabs(connection, rowWindow.tab)) {
+    tabs.push({
+      tab: tab.label,
+      recordType: tab.recordType,
+      ...await previewTab(oauth2Client, connection, tab, rowWindow)
+    });
+  }
+  return { tabs };
+};
+
+module.exports = { previewSheet };
@@ -0,0 +1,200 @@
+const { google } = require('googleapis');
+const { retryGoogleAPICall } = require('./retry');
+const { normalizeHeader } = require('./columnMapping');
+const { getConnectionTabs, selectTabs } = require('./connectionTabs');
+const { toA1Range, toA1Cell, getSheetDimensions, forEachSheetChunk } = require('./sheetImporter');
+
+// Writes platform-computed values into the connection's write-back columns
+// with values.batchUpdate. Changes made through the Sheets API do not fire
+// the Apps Script onEdit trigger, so they never come back as user edits;
+// the script and the update route also ignore the reserved columns.
+
+// Ranges per values.batchUpdate call
+const MAX_RANGES_PER_CALL = 500;
+
+// Reads a tab's header row within its bounds
+const readHeaders = async (sheets, connection, tab, dimensions) => {
+  const { headerRow, firstColumn, lastColumn } = tab.bounds;
+  const last = Math.min(lastColumn || dimensions.columnCount, dimensions.columnCount);
+  if (last < firstColumn) return [];
+
+  const response = await retryGoogleAPICall(() =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId: connection.spreadsheetId,
+      range: toA1Range(tab.sheetName, headerRow, headerRow, last, firstColumn)
+    })
+  );
+  return response.data.values?.[0] || [];
+};
+
+// Returns the sheet column number of every write-back key. Reserved headers
+// missing from the tab are added after its last header.
+const ensureWriteBackColumns = async (sheets, connection, tab, dimensions, keys) => {
+  const headers = await readHeaders(sheets, connection, tab, dimensions);
+  const { headerRow, firstColumn, lastColumn } = tab.bounds;
+  const columns = new Map();
+  const added = [];
+
+  for (const key of keys) {
+    const { header } = connection.writeBackColumns.find((column) => column.key === key);
+    let index = headers.findIndex((h) => h !== undefined && h !== null && normalizeHeader(h) === normalizeHeader(header));
+    if (index === -1) {
+      index = headers.length;
+      if (lastColumn && firstColumn + index > lastColumn) {
+        throw new Error(`No room for write-back column "${header}" in ${tab.label}; widen the range or add the header`);
+      }
+      headers.push(header);
+      added.push({ header, column: firstColumn + index });
+    }
+    columns.set(key, firstColumn + index);
+  }
+
+  if (added.length) {
+    const needed = Math.max(...added.map((a) => a.column)) - dimensions.columnCount;
+    if (needed > 0) {
+      await retryGoogleAPICall(() =>
+        sheets.spreadsheets.batchUpdate({
+          spreadsheetId: connection.spreadsheetId,
+          requestBody: { requests: [{ appendDimension: { sheetId: dimensions.sheetId, dimension: 'COLUMNS', length: needed } }] }
+        })
+      );
+    }
+    await retryGoogleAPICall(() =>
+      sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: connection.spreadsheetId,
+        requestBody: {
+          valueInputOption: 'RAW',
+          data: added.map(({ header, column }) => ({ range: toA1Cell(tab.sheetName, headerRow, column), values: [[header]] }))
+        }
+      })
+    );
+    console.log(`[WRITE_BACK] Added columns ${added.map((a) => a.header).join(', ')} to "${tab.label}" for connection ${connection._id}`);
+  }
+
+  return columns;
+};
+
+// project_identifier -> sheet rows of the tab, read the same way the
+// importer keys rows. Rows repeating a key are kept, so the update has to
+// name one of them.
+const indexRowsByIdentifier = async (oauth2Client, connection, tab) => {
+  const rowsByIdentifier = new Map();
+  await forEachSheetChunk(oauth2Client, connection, tab, {}, async (formattedData, headers, duplicates) => {
+    [...formattedData, ...duplicates.map(({ row }) => row)].forEach(({ project_identifier, row_index }) => {
+      if (project_identifier === null) return;
+      if (!rowsByIdentifier.has(project_identifier)) rowsByIdentifier.set(project_identifier, []);
+      rowsByIdentifier.get(project_identifier).push(row_index);
+    });
+  }, { readOnly: true });
+  rowsByIdentifier.forEach((rows) => rows.sort((a, b) => a - b));
+  return rowsByIdentifier;
+};
+
+// A tab's row index is reused for ROW_INDEX_TTL_MS, so a burst of write-back
+// messages reads the tab once instead of once per message. Rows sorted
+// within that window can send an update to a stale row; an identifier the
+// cached index does not know triggers a fresh read.
+const ROW_INDEX_TTL_MS = Number(process.env.WRITE_BACK_ROW_INDEX_TTL_MS) || 30000;
+const rowIndexCache = new Map();
+
+const getRowIndex = async (oauth2Client, connection, tab, identifiers) => {
+  const now = Date.now();
+  rowIndexCache.forEach((entry, key) => {
+    if (now - entry.readAt >= ROW_INDEX_TTL_MS) rowIndexCache.delete(key);
+  });
+
+  const cacheKey = JSON.stringify([connection._id.toString(), tab.label, connection.rowIdentity || null]);
+  const cached = rowIndexCache.get(cacheKey);
+  if (cached && identifiers.every((identifier) => cached.rows.has(identifier))) return cached.rows;
+
+  const rows = await indexRowsByIdentifier(oauth2Client, connection, tab);
+  rowIndexCache.set(cacheKey, { rows, readAt: now });
+  return rows;
+};
+
+// Picks the sheet row of one update. An identifier shared by several rows
+// is only resolved when row_index names one of them.
+const resolveRow = (update, tab, dimensions, rowsByIdentifier) => {
+  const { headerRow, lastRow } = tab.bounds;
+  const maxRow = Math.min(lastRow || dimensions.rowCount, dimensions.rowCount);
+
+  if (update.project_identifier !== undefined) {
+    const rows = rowsByIdentifier.get(update.project_identifier) || [];
+    if (!rows.length) return { error: `No row with project_identifier "${update.project_identifier}"` };
+    if (rows.length === 1) return { row: rows[0] };
+    if (rows.includes(update.row_index)) return { row: update.row_index };
+    return { error: `project_identifier "${update.project_identifier}" matches rows ${rows.join(', ')}; add row_index` };
+  }
+
+  if (update.row_index <= headerRow || update.row_index > maxRow) {
+    return { error: `row_index ${update.row_index} is outside ${tab.label}` };
+  }
+  return { row: update.row_index };
+};
+
+/**
+ * Applies write-back updates ([{ tab?, row_index?, project_identifier?,
+ * values }]) to the connection's sheet. Returns { written, skipped } where
+ * written counts the rows written and skipped lists [{ index, reason }]
+ * for updates that could not be placed.
+ */
+const applyWriteBack = async (oauth2Client, connection, updates) => {
+  const sheets = google.sheets({ version: 'v4', auth: oauth2Client });
+  const configuredKeys = new Set((connection.writeBackColumns || []).map((column) => column.key));
+  const skipped = [];
+  const byTab = new Map();
+
+  updates.forEach((update, index) => {
+    const unknownKeys = Object.keys(update.values).filter((key) => !configuredKeys.has(key));
+    if (unknownKeys.length) {
+      skipped.push({ index, reason: `Not write-back columns: ${unknownKeys.join(', ')}` });
+      return;
+    }
+    const tab = update.tab ? selectTabs(connection, update.tab)[0] : getConnectionTabs(connection)[0];
+    if (!tab) {
+      skipped.push({ index, reason: `Tab "${update.tab}" is not registered on this connection` });
+      return;
+    }
+    if (!byTab.has(tab.label)) byTab.set(tab.label, { tab, entries: [] });
+    byTab.get(tab.label).entries.push({ update, index });
+  });
+
+  let written = 0;
+  for (const { tab, entries } of byTab.values()) {
+    const dimensions = await getSheetDimensions(sheets, connection.spreadsheetId, tab.sheetName);
+    const keys = [...new Set(entries.flatMap(({ update }) => Object.keys(update.values)))];
+    const columns = await ensureWriteBackColumns(sheets, connection, tab, dimensions, keys);
+    const identifiers = entries
+      .map(({ update }) => update.project_identifier)
+      .filter((identifier) => identifier !== undefined);
+    const rowsByIdentifier = identifiers.length
+      ? await getRowIndex(oauth2Client, connection, tab, identifiers)
+      : new Map();
+
+    const data = [];
+    entries.forEach(({ update, index }) => {
+      const { row, error } = resolveRow(update, tab, dimensions, rowsByIdentifier);
+      if (error) {
+        skipped.push({ index, reason: error });
+        return;
+      }
+      Object.entries(update.values).forEach(([key, value]) => {
+        data.push({ range: toA1Cell(tab.sheetName, row, columns.get(key)), values: [[value === null ? '' : value]] });
+      });
+      written += 1;
+    });
+
+    for (let i = 0; i < data.length; i += MAX_RANGES_PER_CALL) {
+      await retryGoogleAPICall(() =>
+        sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: connection.spreadsheetId,
+          requestBody: { valueInputOption: 'RAW', data: data.slice(i, i + MAX_RANGES_PER_CALL) }
+        })
+      );
+    }
+  }
+
+  return { written, skipped };
+};
+
+module.exports = { applyWriteBack };
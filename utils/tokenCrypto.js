@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// Envelope encryption for GoogleCredential.googleTokens.
+//
+// Every record gets its own random data key (AES-256-GCM) which encrypts the
+// token JSON. The data key is then wrapped with a key-encryption key taken
+// from TOKEN_ENCRYPTION_KEYS, a comma separated list of "<keyId>:<base64 key>"
+// entries. The first entry is used for new writes; the others are only kept
+// so that records wrapped with an older key can still be read and re-wrapped.
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+let cachedKeys = null;
+
+const loadKeys = () => {
+  if (cachedKeys) return cachedKeys;
+
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+  if (!raw) throw new Error("TOKEN_ENCRYPTION_KEYS not configured.");
+
+  const keys = raw.split(',').map((entry) => {
+    const [id, encoded] = entry.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!id || key.length !== 32) {
+      throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry "${id || entry}": expected <keyId>:<32-byte base64 key>`);
+    }
+    return { id, key };
+  });
+
+  cachedKeys = { primary: keys[0], byId: new Map(keys.map((k) => [k.id, k.key])) };
+  return cachedKeys;
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+const open = (key, { iv, tag, data }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+};
+
+const isEncrypted = (value) =>
+  Boolean(value && value.v === ENVELOPE_VERSION && value.kid && value.wrappedKey && value.payload);
+
+const wrapKey = (dataKey) => {
+  const { primary } = loadKeys();
+  return { kid: primary.id, wrappedKey: seal(primary.key, dataKey) };
+};
+
+const encryptTokens = (tokens) => {
+  const dataKey = crypto.randomBytes(32);
+  const payload = seal(dataKey, Buffer.from(JSON.stringify(tokens), 'utf8'));
+  return { v: ENVELOPE_VERSION, ...wrapKey(dataKey), payload };
+};
+
+// Returns { tokens, needsRewrap }. needsRewrap is true for legacy plaintext
+// records and for records wrapped with a key that is no longer primary.
+const decryptTokens = (stored) => {
+  if (!stored) throw new Error('No Google tokens stored for this connection');
+
+  if (!isEncrypted(stored)) {
+    return { tokens: stored, needsRewrap: true };
+  }
+
+  const { primary, byId } = loadKeys();
+  const kek = byId.get(stored.kid);
+  if (!kek) throw new Error(`Token encryption key "${stored.kid}" is not configured`);
+
+  const dataKey = open(kek, stored.wrappedKey);
+  const tokens = JSON.parse(open(dataKey, stored.payload).toString('utf8'));
+  return { tokens, needsRewrap: stored.kid !== primary.id };
+};
+
+// Re-wraps the data key with the primary key without touching the payload.
+// Legacy plaintext records are fully encrypted.
+const rewrapTokens = (stored) => {
+  if (!isEncrypted(stored)) return encryptTokens(stored);
+
+  const { byId } = loadKeys();
+  const kek = byId.get(stored.kid);
+  if (!kek) throw new Error(`Token encryption key "${stored.kid}" is not configured`);
+
+  return { ...stored, ...wrapKey(open(kek, stored.wrappedKey)) };
+};
+
+module.exports = {
+  encryptTokens,
+  decryptTokens,
+  rewrapTokens,
+  isEncrypted
+};
@@ -0,0 +1,125 @@
+const User = require('../models/GoogleUsers');
+const GoogleCredential = require('../models/GoogleCredential');
+const Job = require('../models/Job');
+const FailedMessage = require('../models/FailedMessage');
+const QueueMessage = require('../models/QueueMessage');
+const { getQueueTransport } = require('../transports');
+const { retryOperation } = require('./retry');
+const { encryptTokens, decryptTokens } = require('./tokenCrypto');
+
+// A user owns any number of connections, one per spreadsheet. Connecting a
+// spreadsheet the user already connected refreshes that connection instead
+// of creating a second one (and a second Apps Script project).
+
+// Tokens from the new grant win; anything Google left out (a refresh_token
+// is only sent on consent) is kept from the previous grant.
+const mergeTokens = (stored, tokens) => {
+  try {
+    return { ...decryptTokens(stored).tokens, ...tokens };
+  } catch (error) {
+    console.error('[CONNECTIONS] Could not read previous tokens, replacing them:', error.message);
+    return tokens;
+  }
+};
+
+/**
+ * Stores the outcome of an OAuth callback. Returns { connection, reconnected }.
+ * On a reconnect the tokens and email are replaced. When the Google account
+ * changed, the old script belongs to an account we no longer hold tokens
+ * for, so its ids are cleared and provisioning creates a new one.
+ */
+const saveGoogleConnection = async ({ userId, spreadsheetId, sheetRange, tokens, userEmail, changeSource }) => {
+  const existing = await GoogleCredential.findOne({ userId, spreadsheetId }).sort({ createdAt: -1 });
+
+  if (!existing) {
+    const connection = await retryOperation(() =>
+      GoogleCredential.create({
+        userId,
+        spreadsheetId,
+        sheetRange,
+        googleTokens: encryptTokens(tokens),
+        userEmail,
+        ...(changeSource && { changeSource }),
+        rows: [],
+        appsScriptId: null // Will be updated after script creation
+      })
+    );
+    return { connection, reconnected: false };
+  }
+
+  const update = {
+    googleTokens: encryptTokens(mergeTokens(existing.googleTokens, tokens)),
+    userEmail
+  };
+  if (changeSource) update.changeSource = changeSource;
+  // Registered tabs take over from sheetRange, see utils/connectionTabs.js
+  if (!existing.tabs?.length) update.sheetRange = sheetRange;
+  if (existing.userEmail && existing.userEmail !== userEmail) {
+    Object.assign(update, { appsScriptId: null, deploymentId: null, webAppUrl: null, scriptTemplateVersion: null, scriptVersionNumber: null, triggerState: 'unknown', stale: false });
+  }
+
+  const connection = await retryOperation(() =>
+    GoogleCredential.findByIdAndUpdate(existing._id, { $set: update }, { new: true })
+  );
+  return { connection, reconnected: true };
+};
+
+// True while a provisioning job for the connection is queued or running
+const hasPendingProvisioning = async (connectionId) =>
+  Boolean(await Job.exists({ connectionId, type: 'provision', status: { $in: ['queued', 'running'] } }));
+
+// google_credential_ids lists every connection of the user.
+// google_credential_id is kept for older clients and points at the most
+// recently connected one.
+const linkUserConnection = (userId, connectionId) =>
+  retryOperation(() =>
+    User.findByIdAndUpdate(userId, {
+      $addToSet: { google_credential_ids: connectionId },
+      $set: { google_credential_id: connectionId }
+    })
+  );
+
+const unlinkUserConnection = async (userId, connectionId) => {
+  await User.updateOne({ _id: userId }, { $pull: { google_credential_ids: connectionId } });
+
+  const latest = await GoogleCredential.findOne({ userId, _id: { $ne: connectionId } }).sort({ createdAt: -1 }).select('_id');
+  await User.updateOne(
+    { _id: userId, google_credential_id: connectionId },
+    latest ? { $set: { google_credential_id: latest._id } } : { $unset: { google_credential_id: 1 } }
+  );
+};
+
+/**
+ * Removes what a deleted connection leaves behind: queued and running jobs
+ * are failed (a running job loses its lease at its next checkpoint), and its
+ * failed messages and not yet consumed mongo queue messages are deleted so
+ * nothing is replayed or delivered for it. Messages already in SQS cannot
+ * be picked out and are left to the consumer. Returns the counts.
+ */
+const purgeConnectionRecords = async (connectionId) => {
+  const id = connectionId.toString();
+  const now = new Date();
+
+  const jobs = await Job.updateMany(
+    { connectionId, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: 'Connection was deleted', finishedAt: now, lockedBy: null, lockedUntil: null } }
+  );
+  const failedMessages = await FailedMessage.deleteMany({ connectionId: id });
+  const queueMessages = getQueueTransport().name === 'mongo'
+    ? await QueueMessage.deleteMany({ body: { $regex: `"connectionId":"${id}"` } })
+    : { deletedCount: 0 };
+
+  return {
+    jobsCancelled: jobs.modifiedCount,
+    failedMessagesDeleted: failedMessages.deletedCount,
+    queueMessagesDeleted: queueMessages.deletedCount
+  };
+};
+
+module.exports = {
+  saveGoogleConnection,
+  hasPendingProvisioning,
+  linkUserConnection,
+  unlinkUserConnection,
+  purgeConnectionRecords
+};
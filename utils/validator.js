@@ -1,16 +1,32 @@
 const { z } = require("zod");
 
-const stringToNumber = z.preprocess((val) => {
-  if (typeof val === 'string' && val.trim() !== '') {
-    
-    const cleanedVal = val.replace(/[$,±%]/g, '').trim();
-    if (cleanedVal === '') return null;
-    
-    const num = parseFloat(cleanedVal);
-    return isNaN(num) ? null : num; 
+const {
+  parseDate,
+  parseRagStatus,
+  parseMilestoneStatus,
+  parseNumber,
+  parseCurrency
+} = require("./fieldParsers");
+
+// Wraps a utils/fieldParsers parser as a field schema. Coercion failures
+// become issues on the field itself, e.g. ["input_data", "Contract End Date"].
+const coerced = (parse) => z.any().transform((val, ctx) => {
+  const { value, error } = parse(val);
+  if (error) {
+    ctx.addIssue({ code: "custom", message: error, input: val });
+    return z.NEVER;
   }
-   return val;
-}, z.number().nullable()); 
+  return value;
+});
+
+const dateField = coerced(parseDate);
+
+// input_data fields read as dates. The schema reads them with the default
+// date settings; utils/sheetLocale.js converts them with the spreadsheet's
+// own settings first.
+const DATE_FIELDS = ["Contract Start Date", "Contract End Date", "Update Date"];
+const currencyField = coerced(parseCurrency);
+const numberField = coerced(parseNumber);
 
 const inputDataSchema = z.object({
   Project: z.string(),
@@ -19,40 +35,87 @@ const inputDataSchema = z.object({
   "Project Manager": z.any().optional(),
   Vendor: z.any().optional(),
   "Contract ID": z.any().optional(),
-  "Contract Start Date": z.any().optional(),
-  "Contract End Date": z.any().optional(),
+  "Contract Start Date": dateField.optional(),
+  "Contract End Date": dateField.optional(),
   
 
-  "Contract Ceiling Price": stringToNumber.optional(),
-  "Contract Target Price": stringToNumber.optional(),
-  "Actual Contract Spend": stringToNumber.optional(),
+  "Contract Ceiling Price": currencyField.optional(),
+  "Contract Target Price": currencyField.optional(),
+  "Actual Contract Spend": currencyField.optional(),
   
 
   "Resource Name": z.any().optional(),
   Role: z.any().optional(),
-  "Allocated Hours": stringToNumber.optional(),
-  "Actual Hours": stringToNumber.optional(),
-  "Actual Cost": stringToNumber.optional(),
-  "Planned Cost": stringToNumber.optional(),
+  "Allocated Hours": numberField.optional(),
+  "Actual Hours": numberField.optional(),
+  "Actual Cost": currencyField.optional(),
+  "Planned Cost": currencyField.optional(),
 
-  "Project Status (RAG)": z.any().optional(), 
-  "Milestone Status": z.any().optional(),
+  "Project Status (RAG)": coerced(parseRagStatus).optional(), 
+  "Milestone Status": coerced(parseMilestoneStatus).optional(),
   Issues: z.any().optional(),
   Risks: z.any().optional(),
-  "Update Date": z.any().optional(),
+  "Update Date": dateField.optional(),
   
   
 }).passthrough(true);
 
-const bulkImportRowSchema = z.object({
+// Sheet values such as contract ids can arrive as numbers
+const requiredText = z.preprocess(
+  (val) => (typeof val === "number" ? String(val) : val),
+  z.string().trim().min(1, "is required")
+);
+
+const pickFields = (fields) =>
+  inputDataSchema.pick(Object.fromEntries(fields.map((field) => [field, true])));
+
+// Record types a sheet tab can hold, each with the input_data fields it
+// carries. "project" is the original all-in-one layout.
+const recordInputSchemas = {
+  project: inputDataSchema,
+  contract: pickFields([
+    "Project", "Program", "Portfolio", "Vendor",
+    "Contract Start Date", "Contract End Date",
+    "Contract Ceiling Price", "Contract Target Price", "Actual Contract Spend",
+    "Update Date"
+  ]).extend({ "Contract ID": requiredText }),
+  resource: pickFields([
+    "Project", "Program", "Portfolio", "Project Manager", "Role",
+    "Allocated Hours", "Actual Hours", "Actual Cost", "Planned Cost",
+    "Update Date"
+  ]).extend({ "Resource Name": requiredText }),
+  risk: pickFields([
+    "Project", "Program", "Portfolio", "Project Manager",
+    "Project Status (RAG)", "Milestone Status", "Issues", "Risks",
+    "Update Date"
+  ])
+};
+
+const RECORD_TYPES = Object.keys(recordInputSchemas);
+
+// Builds a message schema whose input_data is validated against the
+// schema of its record_type. Messages from before tabs existed carry no
+// record_type and are treated as "project" rows.
+const byRecordType = (shape) => z.preprocess(
+  (val) => (val && typeof val === "object" && val.record_type === undefined
+    ? { ...val, record_type: "project" }
+    : val),
+  z.discriminatedUnion("record_type", RECORD_TYPES.map((type) => z.object({
+    ...shape,
+    record_type: z.literal(type),
+    input_data: recordInputSchemas[type]
+  })))
+);
+
+const bulkImportRowSchema = byRecordType({
   connectionId: z.string(),
   userId: z.string(),
   spreadsheet_id: z.string(),
   sheet_range: z.string(),
+  sheet_name: z.string().optional(),
   row_index: z.number(),
   project_identifier: z.string(),
-  sync_timestamp: z.string().datetime(),
-  input_data: inputDataSchema
+  sync_timestamp: z.string().datetime()
 });
 
 // Keep this for batch operations if needed
@@ -60,20 +123,128 @@ const bulkImportBatchSchema = z.object({
   data: z.array(bulkImportRowSchema)
 });
 
-const updateSchema = z.object({
+const updateSchema = byRecordType({
   connectionId: z.string().optional(),
   userId: z.string().optional(),
   spreadsheet_id: z.string().optional(),
   sheet_range: z.string().optional(),
+  sheet_name: z.string().optional(),
   row_index: z.number().optional(),
   project_identifier: z.string(),
-  sync_timestamp: z.string().datetime(),
-  input_data: inputDataSchema
+  sync_timestamp: z.string().datetime()
+});
+
+// Where a connection's edits come from: the Apps Script edit trigger, or
+// Drive push notifications followed by a diff sync (utils/driveWatch.js)
+const CHANGE_SOURCES = ["apps_script", "drive_watch"];
+
+const oauthStateRequestSchema = z.object({
+  userId: z.string().regex(/^[a-f0-9]{24}$/i, "userId must be an ObjectId"),
+  sheetId: z.string().min(1),
+  sheetRange: z.string().min(1),
+  changeSource: z.enum(CHANGE_SOURCES).optional(),
+  // Hold the import until POST /api/connections/:id/provision, so the
+  // sheet can be previewed and its tabs and mappings set up first
+  previewFirst: z.boolean().optional()
+});
+
+const changeSourceSchema = z.object({
+  mode: z.enum(CHANGE_SOURCES)
+});
+
+// tab limits the resync to one registered tab
+const resyncRequestSchema = z.discriminatedUnion("mode", [
+  z.object({ mode: z.literal("full"), tab: z.string().min(1).optional() }),
+  z.object({
+    mode: z.literal("range"),
+    tab: z.string().min(1).optional(),
+    startRow: z.number().int().min(2),
+    endRow: z.number().int().min(2)
+  }).refine((body) => body.endRow >= body.startRow, {
+    message: "endRow must not be before startRow",
+    path: ["endRow"]
+  })
+]);
+
+const rowIdentitySchema = z.discriminatedUnion("mode", [
+  z.object({ mode: z.literal("project") }),
+  z.object({
+    mode: z.literal("columns"),
+    keyColumns: z.array(z.string().trim().min(1)).min(1)
+  }),
+  z.object({ mode: z.literal("row_id") })
+]);
+
+// Reserved sheet columns the platform writes into, by platform field key
+const writeBackColumnsSchema = z.object({
+  columns: z.array(z.object({
+    key: z.string().trim().min(1),
+    header: z.string().trim().min(1)
+  })).refine(
+    (columns) => new Set(columns.map((c) => c.key)).size === columns.length,
+    { message: "keys must be unique" }
+  ).refine(
+    (columns) => new Set(columns.map((c) => c.header.toLowerCase())).size === columns.length,
+    { message: "headers must be unique" }
+  )
+});
+
+const writeBackValue = z.union([z.string(), z.number(), z.boolean(), z.null()]);
+
+// One row to write. project_identifier is looked up in the sheet; row_index
+// is used when no identifier is given, or to pick between rows sharing it.
+const writeBackUpdateSchema = z.object({
+  tab: z.string().min(1).optional(),
+  row_index: z.number().int().min(2).optional(),
+  project_identifier: z.string().min(1).optional(),
+  values: z.record(z.string(), writeBackValue)
+}).refine((update) => update.row_index !== undefined || update.project_identifier !== undefined, {
+  message: "row_index or project_identifier is required"
+});
+
+const writeBackRequestSchema = z.object({
+  updates: z.array(writeBackUpdateSchema).min(1).max(500)
+});
+
+// What travels on the write_back queue
+const writeBackMessageSchema = writeBackRequestSchema.extend({
+  connectionId: z.string().regex(/^[a-f0-9]{24}$/i, "connectionId must be an ObjectId"),
+  requested_at: z.string().datetime().optional()
+});
+
+// Selects the connections of a script upgrade. Without connectionIds every
+// deployed connection is considered; force also redeploys connections that
+// already run the current template.
+const scriptUpgradeRequestSchema = z.object({
+  connectionIds: z.array(z.string().regex(/^[a-f0-9]{24}$/i, "connectionIds must be ObjectIds")).min(1).optional(),
+  force: z.boolean().default(false)
+});
+
+// Lifecycle reports sent by the Apps Script to /api/heartbeat
+const heartbeatSchema = z.object({
+  event: z.enum(["configured", "activated", "deactivated", "heartbeat"]),
+  triggerActive: z.boolean(),
+  pendingActivation: z.boolean().default(false),
+  outboxPending: z.number().int().min(0).optional(),
+  rejectedRows: z.number().int().min(0).optional()
 });
 
 module.exports = {
   bulkImportRowSchema,     
   bulkImportBatchSchema,    
   updateSchema,
-  inputDataSchema
+  inputDataSchema,
+  recordInputSchemas,
+  RECORD_TYPES,
+  DATE_FIELDS,
+  oauthStateRequestSchema,
+  CHANGE_SOURCES,
+  changeSourceSchema,
+  resyncRequestSchema,
+  rowIdentitySchema,
+  writeBackColumnsSchema,
+  writeBackRequestSchema,
+  writeBackMessageSchema,
+  scriptUpgradeRequestSchema,
+  heartbeatSchema
 };
@@ -0,0 +1,26 @@
+const { normalizeHeader } = require('./columnMapping');
+
+// Reserved columns hold values the platform writes back into the sheet
+// (variance, sync status, ...). They are output only: the importer, the
+// update route and the Apps Script leave them out of input_data.
+
+const writeBackHeaderSet = (connection) =>
+  new Set((connection.writeBackColumns || []).map(({ header }) => normalizeHeader(header)));
+
+const isWriteBackHeader = (connection, header) =>
+  header !== null && header !== undefined && writeBackHeaderSet(connection).has(normalizeHeader(header));
+
+// Returns inputData without the connection's reserved columns
+const omitWriteBackColumns = (inputData, connection) => {
+  const reserved = writeBackHeaderSet(connection);
+  if (!reserved.size || !inputData) return inputData;
+
+  return Object.fromEntries(
+    Object.entries(inputData).filter(([key]) => !reserved.has(normalizeHeader(key)))
+  );
+};
+
+module.exports = {
+  isWriteBackHeader,
+  omitWriteBackColumns
+};